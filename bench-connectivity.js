@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/**
+ * Block generation benchmark: full connectivity checks (every slice flood-filled and every open
+ * count recounted after each tentative block, as the generator used to work) against the
+ * incremental generateConnectedBlocks() in engine.js.
+ * Both runs draw the same random sequence, so they must end with the same block layout.
+ *
+ *   node bench-connectivity.js [--dims 12x12x6,24x24x8,32x32x16] [--old-max-cells 5000]
+ *
+ * The full check is skipped for cubes with more than --old-max-cells cells: at 32x32x16 it takes
+ * about 10 s, the incremental one a fraction of a second.
+ */
+const { Puzzle, GEN_DEFAULTS, generateConnectedBlocks, seededRandom } = require("./engine.js");
+
+// The generator before incremental checks, kept here for comparison
+function generateConnectedBlocksFull(p, o, rand) {
+  const targetBlocks = Math.floor(p.nx * p.ny * p.nz * o.targetBlockFrac);
+  let blocks = 0;
+  let tries = 0;
+
+  while (blocks < targetBlocks && tries < o.maxTries) {
+    tries++;
+    const x = (rand() * p.nx) | 0;
+    const y = (rand() * p.ny) | 0;
+    const z = (rand() * p.nz) | 0;
+    const ce = p.cell(x, y, z);
+    if (ce.block) continue;
+
+    ce.block = true;
+    if (
+      p.sliceOpenCount("XY", z) >= o.minOpenPerSlice &&
+      p.sliceOpenCount("XZ", y) >= o.minOpenPerSlice &&
+      p.sliceOpenCount("YZ", x) >= o.minOpenPerSlice &&
+      p.allSlicesConnected()
+    ) {
+      blocks++;
+    } else {
+      ce.block = false;
+    }
+  }
+}
+
+function run(gen, dims, seed) {
+  const p = new Puzzle(dims.nx, dims.ny, dims.nz);
+  const t0 = process.hrtime.bigint();
+  gen(p, GEN_DEFAULTS, seededRandom(seed));
+  const ms = Number(process.hrtime.bigint() - t0) / 1e6;
+  const blocks = p.listBlocks();
+  return { ms, blocks: blocks.length, key: blocks.map(b => `${b.x},${b.y},${b.z}`).join(" "), connected: p.allSlicesConnected() };
+}
+
+function main(argv) {
+  const flag = (name, def) => {
+    const i = argv.indexOf(`--${name}`);
+    return i >= 0 && i + 1 < argv.length ? argv[i + 1] : def;
+  };
+  const sizes = flag("dims", "12x12x6,24x24x8,32x32x16").split(",").map(s => {
+    const [nx, ny, nz] = s.split("x").map(Number);
+    return { nx, ny, nz };
+  });
+  const oldMaxCells = Number(flag("old-max-cells", 5000));
+  const seed = 12345;
+  let mismatch = false;
+
+  console.log(`maxTries ${GEN_DEFAULTS.maxTries}, targetBlockFrac ${GEN_DEFAULTS.targetBlockFrac}, minOpenPerSlice ${GEN_DEFAULTS.minOpenPerSlice}`);
+  for (const dims of sizes) {
+    const name = `${dims.nx}x${dims.ny}x${dims.nz}`;
+    const inc = run(generateConnectedBlocks, dims, seed);
+    let line = `${name.padEnd(10)} incremental ${inc.ms.toFixed(0).padStart(7)} ms, ${inc.blocks} blocks, connected ${inc.connected}`;
+    if (dims.nx * dims.ny * dims.nz <= oldMaxCells) {
+      const full = run(generateConnectedBlocksFull, dims, seed);
+      const same = full.key === inc.key;
+      if (!same) mismatch = true;
+      line += ` | full ${full.ms.toFixed(0).padStart(7)} ms (${(full.ms / inc.ms).toFixed(1)}x), same layout ${same}`;
+    } else {
+      line += " | full skipped (--old-max-cells)";
+    }
+    console.log(line);
+  }
+  return mismatch ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
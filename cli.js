@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+/**
+ * 3D Crossword command-line tool (Node, uses engine.js like the sketch does)
+ *
+ *   node cli.js validate <file|dir>... [--strict]
+ *       validatePuzzleJSON() for every .json (directories are searched recursively);
+ *       exit code 1 if any puzzle has errors (--strict: warnings count too)
+ *   node cli.js convert <file|dir>... --to words|legacy [--out file|dir] [--force]
+ *       words[] (version 2) <-> legacy solution[] + clues{} (version 1); one input without --out goes to stdout.
+ *       Puzzles with validation errors are listed and skipped (exit code 1) unless --force converts them anyway
+ *   node cli.js stats <file|dir>...
+ *       dims, format, shape, blocks / open cells, words per direction and their lengths
+ *   node cli.js generate --dims 8x8x4 [--wordlist words.txt] [--count N] [--out file|dir]
+ *       [--alphabet ABC...] [--locale et] [--block-frac 0.18] [--min-open 12]
+ *       [--seed 42] [--symmetry x,y,z,point] [--shape pyramid|sphere | --mask file]
+ *       new puzzles (words[] with a word list, pseudo letters without); one puzzle without --out goes to stdout.
+ *       --seed makes the output reproducible (puzzle i of --count gets seed + i); the seed is stored in the JSON.
+ *       --shape / --mask give the puzzle a shape: a built-in one, or the "mask" of a JSON file (a puzzle or
+ *       just the layers); --dims may be left out with --mask
+ *
+ * --lang et|en picks the language of problem messages. Exit code 2 = bad usage (unknown command, flag value or path).
+ */
+const fs = require("fs");
+const path = require("path");
+const {
+  Puzzle, DIRS, useLang, validatePuzzleJSON, puzzleFormat, convertToWordsFormat, convertToLegacyFormat,
+  generatePuzzle, buildDictIndex, puzzleAlphabet, seedFrom, SYMMETRY_FLIPS, puzzleMask, SHAPES, shapeMask,
+} = require("./engine.js");
+
+const USAGE = `usage:
+  node cli.js validate <file|dir>... [--strict]
+  node cli.js convert <file|dir>... --to words|legacy [--out file|dir] [--force]
+  node cli.js stats <file|dir>...
+  node cli.js generate --dims NXxNYxNZ [--wordlist file] [--count N] [--out file|dir]
+                       [--alphabet letters] [--locale tag] [--block-frac f] [--min-open n]
+                       [--seed n|text] [--symmetry x,y,z,point] [--shape pyramid|sphere | --mask file]
+options: --lang et|en`;
+
+// Flags that take a value; anything else starting with "--" is a boolean switch
+const VALUE_FLAGS = [
+  "to", "out", "dims", "wordlist", "count", "alphabet", "locale", "block-frac", "min-open", "seed", "symmetry", "shape", "mask",
+  "lang",
+];
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const args = { cmd: argv[0], inputs: [], flags: {} };
+  for (let i = 1; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) { args.inputs.push(a); continue; }
+    const name = a.slice(2);
+    if (VALUE_FLAGS.includes(name)) {
+      if (i + 1 >= argv.length) throw new UsageError(`--${name} needs a value`);
+      args.flags[name] = argv[++i];
+    } else {
+      args.flags[name] = true;
+    }
+  }
+  return args;
+}
+
+// Every .json under the given files / directories, in a stable order
+function puzzleFiles(inputs) {
+  const out = [];
+  const walk = p => {
+    const st = fs.statSync(p);
+    if (st.isDirectory()) {
+      for (const name of fs.readdirSync(p).sort()) walk(path.join(p, name));
+    } else if (/\.json$/i.test(p) || inputs.includes(p)) {
+      out.push(p);
+    }
+  };
+  for (const p of inputs) {
+    if (!fs.existsSync(p)) throw new UsageError(`${p}: no such file or directory`);
+    walk(p);
+  }
+  return out;
+}
+
+// { js } or { error } for files that are not JSON objects
+function readPuzzle(file) {
+  try {
+    const js = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!js || typeof js !== "object" || Array.isArray(js)) return { error: "not a puzzle object" };
+    return { js };
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+function writeJSON(file, js) {
+  fs.writeFileSync(file, JSON.stringify(js, null, 2) + "\n");
+}
+
+function problemLine(p, prefix = "  ") {
+  return `${prefix}${p.level} ${p.code}: ${p.message}`;
+}
+
+// fn(file) for every file, false = failed; a file that throws fails too and the rest still run.
+// Returns the number of failed files.
+function forEachFile(files, fn, log = console.log) {
+  let failed = 0;
+  for (const file of files) {
+    try {
+      if (!fn(file)) failed++;
+    } catch (e) {
+      if (e instanceof UsageError) throw e;
+      log(`FAIL ${file}`);
+      log(problemLine({ level: "error", code: "BAD_FILE", message: e.message }));
+      failed++;
+    }
+  }
+  return failed;
+}
+
+// ---------------- COMMANDS ----------------
+function cmdValidate(args) {
+  const files = puzzleFiles(args.inputs);
+  if (!files.length) throw new UsageError("validate: no puzzle files given");
+  const strict = !!args.flags.strict;
+
+  const failed = forEachFile(files, file => {
+    const { js, error } = readPuzzle(file);
+    const report = error ? [{ level: "error", code: "BAD_FILE", message: error }] : validatePuzzleJSON(js);
+    const bad = report.some(p => p.level === "error" || strict);
+    console.log(`${bad ? "FAIL" : "ok  "} ${file}`);
+    for (const p of report) console.log(problemLine(p));
+    return !bad;
+  });
+  console.log(`${files.length} puzzle(s), ${failed} failed`);
+  return failed ? 1 : 0;
+}
+
+function cmdConvert(args) {
+  const to = args.flags.to;
+  if (to !== "words" && to !== "legacy") throw new UsageError("convert: --to must be words or legacy");
+  const files = puzzleFiles(args.inputs);
+  if (!files.length) throw new UsageError("convert: no puzzle files given");
+  const out = args.flags.out;
+  const toDir = out && (files.length > 1 || (fs.existsSync(out) && fs.statSync(out).isDirectory()));
+  if (!out && files.length > 1) throw new UsageError("convert: several inputs need --out <dir>");
+  if (toDir) fs.mkdirSync(out, { recursive: true });
+  const force = !!args.flags.force;
+
+  const failed = forEachFile(files, file => {
+    const { js, error } = readPuzzle(file);
+    const report = error ? [{ level: "error", code: "BAD_FILE", message: error }] : validatePuzzleJSON(js);
+    const errors = report.filter(p => p.level === "error");
+    if (report.some(p => p.fatal || p.code === "BAD_FILE") || (errors.length && !force)) {
+      console.error(`FAIL ${file}${errors.length && !force ? " (--force converts it anyway)" : ""}`);
+      for (const p of report) console.error(problemLine(p));
+      return false;
+    }
+    for (const p of errors) console.error(problemLine(p, `${file}: `));
+    const res = to === "words" ? convertToWordsFormat(js) : convertToLegacyFormat(js);
+    for (const p of res.problems) console.error(problemLine(p, `${file}: `));
+
+    if (!out) process.stdout.write(JSON.stringify(res.puzzle, null, 2) + "\n");
+    else writeJSON(toDir ? path.join(out, path.basename(file)) : out, res.puzzle);
+    return true;
+  }, console.error);
+  return failed ? 1 : 0;
+}
+
+function cmdStats(args) {
+  const files = puzzleFiles(args.inputs);
+  if (!files.length) throw new UsageError("stats: no puzzle files given");
+  const failed = forEachFile(files, file => {
+    const { js, error } = readPuzzle(file);
+    const report = error ? [{ level: "error", code: "BAD_FILE", message: error }] : validatePuzzleJSON(js);
+    if (report.some(p => p.fatal || p.code === "BAD_FILE")) {
+      console.log(`${file}: cannot load`);
+      for (const p of report) console.log(problemLine(p));
+      return false;
+    }
+
+    const p = Puzzle.fromJSON(js);
+    const cells = p.insideCount();
+    const blocks = p.listBlocks().length;
+    const errors = report.filter(r => r.level === "error").length;
+    const box = p.nx * p.ny * p.nz;
+    console.log(`${file}`);
+    console.log(`  format ${puzzleFormat(js)} (version ${js.version ?? "-"}), dims ${p.nx}x${p.ny}x${p.nz}, alphabet ${[...p.alphabet].length} letters (${p.locale})`);
+    if (cells < box) console.log(`  shape: mask, ${cells} of ${box} cells inside (${(100 * cells / box).toFixed(1)}%)`);
+    console.log(`  cells ${cells}: ${blocks} blocks (${(100 * blocks / cells).toFixed(1)}%), ${cells - blocks} open`);
+    for (const dir of DIRS) {
+      const lens = p.clues[dir].map(c => c.len);
+      const range = lens.length
+        ? `, length ${Math.min(...lens)}-${Math.max(...lens)} (avg ${(lens.reduce((a, b) => a + b, 0) / lens.length).toFixed(1)})`
+        : "";
+      console.log(`  ${dir}: ${lens.length} words${range}`);
+    }
+    console.log(`  problems: ${errors} errors, ${report.length - errors} warnings`);
+    return true;
+  });
+  return failed ? 1 : 0;
+}
+
+// --mask file: a puzzle JSON with "mask" or the layers alone
+function readMaskFile(file) {
+  if (!fs.existsSync(file)) throw new UsageError(`${file}: no such file`);
+  let js;
+  try {
+    js = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new UsageError(`${file}: ${e.message}`);
+  }
+  const mask = Array.isArray(js) ? js : js && js.mask;
+  if (!Array.isArray(mask)) throw new UsageError(`${file}: no "mask" layers`);
+  return mask;
+}
+
+function cmdGenerate(args) {
+  const f = args.flags;
+  if (f.shape != null && f.mask != null) throw new UsageError("generate: use either --shape or --mask");
+  if (f.shape != null && !(f.shape in SHAPES)) {
+    throw new UsageError(`generate: unknown shape ${f.shape} (use ${Object.keys(SHAPES).join(", ")})`);
+  }
+  const mask = f.mask != null ? readMaskFile(f.mask) : null;
+  const m = /^(\d+)x(\d+)x(\d+)$/i.exec(f.dims ?? "");
+  if (!m && !mask) throw new UsageError("generate: --dims NXxNYxNZ is required (e.g. 8x8x4)");
+  // without --dims the mask's own size: layers x rows x row length
+  const [nx, ny, nz] = m ? m.slice(1).map(Number) : [String(mask[0]?.[0] ?? "").length, (mask[0] ?? []).length, mask.length];
+  if (![nx, ny, nz].every(v => v > 0)) throw new UsageError("generate: dims must be positive");
+  const count = f.count == null ? 1 : parseInt(f.count, 10);
+  if (!(count > 0)) throw new UsageError("generate: --count must be a positive integer");
+
+  const meta = {};
+  if (f.alphabet) meta.alphabet = f.alphabet;
+  if (f.locale) meta.locale = f.locale;
+  const abc = puzzleAlphabet(meta);
+  for (const p of abc.problems) console.error(problemLine(p, ""));
+  if (abc.problems.some(p => p.level === "error")) return 2;
+
+  const opts = { nx, ny, nz, meta };
+  if (mask) {
+    const shape = puzzleMask({ mask }, { nx, ny, nz });
+    for (const p of shape.problems) console.error(problemLine(p, `${f.mask}: `));
+    if (shape.problems.length) return 2;
+    opts.mask = mask;
+  } else if (f.shape != null) {
+    opts.mask = shapeMask(f.shape, nx, ny, nz);
+  }
+  if (f["block-frac"] != null) {
+    opts.targetBlockFrac = Number(f["block-frac"]);
+    if (!(opts.targetBlockFrac >= 0 && opts.targetBlockFrac < 1)) throw new UsageError("generate: --block-frac must be in [0, 1)");
+  }
+  if (f["min-open"] != null) {
+    opts.minOpenPerSlice = Number(f["min-open"]);
+    if (!Number.isInteger(opts.minOpenPerSlice) || opts.minOpenPerSlice < 0) throw new UsageError("generate: --min-open must be an integer >= 0");
+  }
+  if (f.symmetry != null) {
+    opts.symmetry = f.symmetry.split(",").map(v => v.trim()).filter(Boolean);
+    const bad = opts.symmetry.filter(v => !(v in SYMMETRY_FLIPS));
+    if (bad.length) throw new UsageError(`generate: unknown symmetry ${bad.join(", ")} (use ${Object.keys(SYMMETRY_FLIPS).join(", ")})`);
+  }
+  if (f.wordlist) {
+    if (!fs.existsSync(f.wordlist)) throw new UsageError(`${f.wordlist}: no such file`);
+    const dict = buildDictIndex(fs.readFileSync(f.wordlist, "utf8").split(/\r?\n/), abc.letters, abc.locale);
+    if (dict.size) opts.dict = dict;
+    else console.error(`${f.wordlist}: no usable words, using pseudo letters`);
+  }
+
+  const out = f.out;
+  if (!out && count > 1) throw new UsageError("generate: --count > 1 needs --out <dir>");
+  const toDir = out && (count > 1 || (fs.existsSync(out) && fs.statSync(out).isDirectory()));
+  if (toDir) fs.mkdirSync(out, { recursive: true });
+
+  const seed = f.seed != null ? seedFrom(f.seed) : null;
+  for (let i = 0; i < count; i++) {
+    const { puzzle: js, problems } = generatePuzzle({ ...opts, seed: seed == null ? null : (seed + i) >>> 0 });
+    for (const p of problems) console.error(problemLine(p, `seed ${js.seed}: `));
+    if (!out) {
+      process.stdout.write(JSON.stringify(js, null, 2) + "\n");
+      continue;
+    }
+    // same name as the sketch's download, numbered when there are several
+    const name = `crossword3d_${nx}x${ny}x${nz}${count > 1 ? `_${i + 1}` : ""}.json`;
+    const file = toDir ? path.join(out, name) : out;
+    writeJSON(file, js);
+    console.error(`wrote ${file} (seed ${js.seed})`);
+  }
+  return 0;
+}
+
+const COMMANDS = { validate: cmdValidate, convert: cmdConvert, stats: cmdStats, generate: cmdGenerate };
+
+function main(argv) {
+  try {
+    const args = parseArgs(argv);
+    if (!COMMANDS[args.cmd]) throw new UsageError(args.cmd ? `unknown command "${args.cmd}"` : "no command given");
+    if (args.flags.lang != null && !useLang(args.flags.lang)) throw new UsageError(`unknown language "${args.flags.lang}"`);
+    return COMMANDS[args.cmd](args);
+  } catch (e) {
+    if (!(e instanceof UsageError)) throw e;
+    console.error(`${e.message}\n\n${USAGE}`);
+    return 2;
+  }
+}
+
+process.exitCode = main(process.argv.slice(2));
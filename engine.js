@@ -0,0 +1,1431 @@
+/**
+ * 3D Crossword puzzle engine (no p5, no DOM)
+ * - Puzzle: one cube (world[z][y][x] cells, clues { R, D, I }, alphabet / locale / dirLabels)
+ *   with load (Puzzle.fromJSON), cell, slots, readWord, setLetter and validate;
+ *   a "mask" in the JSON gives it a shape (cells outside the volume, see puzzleMask())
+ * - Format conversion (words[] <-> legacy), validatePuzzleJSON(), slot detection
+ * - Generator: connected block layouts and dictionary word fill (generatePuzzle)
+ * - STRINGS / tr(): problem messages and direction names, so problems read the same everywhere
+ *
+ * index.html loads this before sketch.js (both share the globals below);
+ * Node scripts (cli.js) use require("./engine.js"); engine.test.js runs with `node --test`.
+ */
+
+// ---------------- CONSTANTS ----------------
+const DIRS = ["R", "D", "I"];
+
+// version 1 = legacy solution[] + clues{}, version 2 = words[] (FORMAT A)
+const FORMAT_VERSION = { legacy: 1, words: 2 };
+
+// Letters a puzzle may use unless its JSON declares "alphabet" (and "locale" for upper-casing)
+const DEFAULT_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZÕÄÖÜŠŽ";
+const DEFAULT_LOCALE = "et";
+
+// 4-neighbourhood inside a slice, as (du, dv)
+const SLICE_STEPS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+// generatePuzzle() settings when the caller gives none (the sketch always uses these)
+const GEN_DEFAULTS = {
+  targetBlockFrac: 0.18,
+  minOpenPerSlice: 12,
+  maxTries: 30000,
+  FILL_MAX_STEPS: 20000, // backtracking budget per attempt
+  FILL_BRANCH: 40,       // candidates tried per slot
+  FILL_ATTEMPTS: 5,      // new block layouts before giving up
+};
+
+// ---------------- STRINGS ----------------
+// Problem messages and direction names per language (the sketch adds its UI text, see UI_STRINGS);
+// tr(key, { name }) fills "{name}" placeholders. Missing keys fall back to Estonian, then to the key itself.
+const STRINGS = {
+  et: {
+    "dir.R": "paremale", "dir.D": "alla", "dir.I": "sisse",
+    "word": "sõna #{id}",
+    "cellAt": "lahter ({at})",
+    "empty": "tühi",
+    "p.LOAD_FAILED": "Faili {file} ei õnnestunud laadida",
+    "p.BAD_FILE": "{file} ei ole ristsõna JSON",
+    "p.INCOMPLETE_SLOT": "{slot}: {answer} pole täis, jäeti välja",
+    "p.MISSING_SOLUTION": "{slot}: lahendus puudub ({answer}), jäeti välja",
+    "p.SKIPPED_WORD": "sõna #{id} jäeti välja (suund/algus vigane)",
+    "p.BAD_LOCALE": "Tundmatu locale \"{locale}\", kasutan {fallback}",
+    "p.NO_ALPHABET": "alphabet peab olema tähtede sõne või massiiv, kasutan vaiketähestikku",
+    "p.BAD_ALPHABET": "Tähestiku tähed peavad olema üks märk: {letters}",
+    "p.BAD_DIR_LABELS": "dirLabels peab olema objekt R/D/I siltidega (või keelte kaupa)",
+    "p.MISSING_DIMS": "Mõõtmed (dims.nx/ny/nz) puuduvad või pole positiivsed täisarvud",
+    "p.UNKNOWN_VERSION": "Tundmatu version {version}, loen {format} formaadina",
+    "p.VERSION_MISMATCH": "version {version} ei vasta sisule ({format} = {expected})",
+    "p.UNKNOWN_DIR": "{label}: tundmatu suund \"{dir}\" (lubatud R, D, I)",
+    "p.UNKNOWN_CLUE_DIR": "clues.{dir}: tundmatu suund (lubatud R, D, I)",
+    "p.BAD_START": "{label}: algus (start.x/y/z) puudub või pole täisarvud",
+    "p.BAD_ENTRY": "{label} ei ole objekt, jäeti välja",
+    "p.BAD_LEN": "{label}: pikkus len peab olema mittenegatiivne täisarv (on {len})",
+    "p.BAD_CLUES": "clues.{dir} peab olema vihjete massiiv (clues = objekt R/D/I massiividega)",
+    "p.BAD_BLOCKS": "blocks peab olema { x, y, z } täisarvuliste koordinaatidega objektide massiiv; vigased jäeti välja",
+    "p.BAD_SOLUTION": "solution peab olema { x, y, z, ch } täisarvuliste koordinaatidega objektide massiiv; vigased jäeti välja",
+    "p.DUPLICATE_SLOT": "{label}: sama algus ja suund kui {other}",
+    "p.DUPLICATE_WORD": "{label}: vastus {answer} on juba kasutusel ({other})",
+    "p.WORD_OUT_OF_BOUNDS": "{label} väljub kuubist kohal ({at})",
+    "p.WORD_HITS_BLOCK": "{label} läheb läbi bloki ({at})",
+    "p.WORD_OUTSIDE_MASK": "{label} väljub kujundist kohal ({at})",
+    "p.BAD_MASK": "mask peab olema {nz} kihti, igas {ny} rida {nx} märgiga; mask jäeti kõrvale",
+    "p.EMPTY_MASK": "maskis pole ühtegi lahtrit (kõik on \".\"), mask jäeti kõrvale",
+    "p.CROSSING_CONFLICT": "{label}: lahtris ({at}) on juba {had}, sõna tahab {wants}",
+    "p.PARTIAL_RUN": "{label} ei kata kogu vaba rida plokist plokini ({len} tähte)",
+    "p.OUT_OF_ALPHABET": "Vastustes on tähti, mida tähestik ei luba: {letters}",
+    "p.UNCOVERED_CELLS": "{n} vaba lahtrit ei kuulu ühtegi sõnasse: {cells}",
+    "p.WORD_FILL_FAILED": "Sõnastikust ({words} sõna) ei leitud täidet {attempts} katsega, ruudustikus on juhuslikud tähed",
+  },
+  en: {
+    "dir.R": "across", "dir.D": "down", "dir.I": "in",
+    "word": "word #{id}",
+    "cellAt": "cell ({at})",
+    "empty": "empty",
+    "p.LOAD_FAILED": "Could not load {file}",
+    "p.BAD_FILE": "{file} is not a puzzle JSON",
+    "p.INCOMPLETE_SLOT": "{slot}: {answer} is not complete, skipped",
+    "p.MISSING_SOLUTION": "{slot}: solution missing ({answer}), skipped",
+    "p.SKIPPED_WORD": "word #{id} skipped (bad direction/start)",
+    "p.BAD_LOCALE": "Unknown locale \"{locale}\", using {fallback}",
+    "p.NO_ALPHABET": "alphabet must be a string or array of letters, using the default alphabet",
+    "p.BAD_ALPHABET": "Alphabet letters must be a single character: {letters}",
+    "p.BAD_DIR_LABELS": "dirLabels must be an object with R/D/I labels (or one per language)",
+    "p.MISSING_DIMS": "Dimensions (dims.nx/ny/nz) are missing or not positive integers",
+    "p.UNKNOWN_VERSION": "Unknown version {version}, reading it as {format} format",
+    "p.VERSION_MISMATCH": "version {version} does not match the content ({format} = {expected})",
+    "p.UNKNOWN_DIR": "{label}: unknown direction \"{dir}\" (allowed R, D, I)",
+    "p.UNKNOWN_CLUE_DIR": "clues.{dir}: unknown direction (allowed R, D, I)",
+    "p.BAD_START": "{label}: start (start.x/y/z) is missing or not integers",
+    "p.BAD_ENTRY": "{label} is not an object, skipped",
+    "p.BAD_LEN": "{label}: len must be a non-negative integer (is {len})",
+    "p.BAD_CLUES": "clues.{dir} must be an array of clues (clues = object with R/D/I arrays)",
+    "p.BAD_BLOCKS": "blocks must be an array of { x, y, z } with integer coordinates; bad entries skipped",
+    "p.BAD_SOLUTION": "solution must be an array of { x, y, z, ch } with integer coordinates; bad entries skipped",
+    "p.DUPLICATE_SLOT": "{label}: same start and direction as {other}",
+    "p.DUPLICATE_WORD": "{label}: answer {answer} is already used ({other})",
+    "p.WORD_OUT_OF_BOUNDS": "{label} leaves the cube at ({at})",
+    "p.WORD_HITS_BLOCK": "{label} runs through a block at ({at})",
+    "p.WORD_OUTSIDE_MASK": "{label} leaves the shape at ({at})",
+    "p.BAD_MASK": "mask must be {nz} layers of {ny} rows with {nx} characters each; mask ignored",
+    "p.EMPTY_MASK": "mask has no cells inside (all \".\"), mask ignored",
+    "p.CROSSING_CONFLICT": "{label}: cell ({at}) already has {had}, the word wants {wants}",
+    "p.PARTIAL_RUN": "{label} does not cover the whole run between blocks ({len} letters)",
+    "p.OUT_OF_ALPHABET": "Answers use letters the alphabet does not allow: {letters}",
+    "p.UNCOVERED_CELLS": "{n} open cells belong to no word: {cells}",
+    "p.WORD_FILL_FAILED": "No fill from the word list ({words} words) in {attempts} attempts, the grid has placeholder letters",
+  },
+};
+let lang = "et";
+
+function tr(key, params) {
+  const s = STRINGS[lang]?.[key] ?? STRINGS.et[key] ?? key;
+  return params ? s.replace(/\{(\w+)\}/g, (m, k) => (k in params ? String(params[k]) : m)) : s;
+}
+
+// Language of tr(); false (and no change) for one STRINGS does not have
+function useLang(id) {
+  if (!STRINGS[id]) return false;
+  lang = id;
+  return true;
+}
+
+// ---------------- HELPERS ----------------
+function dirStep(dir) {
+  return { dx: dir === "R" ? 1 : 0, dy: dir === "D" ? 1 : 0, dz: dir === "I" ? 1 : 0 };
+}
+
+// Cell (u, v) of slice d on a plane: XY = slice z, XZ = slice y, YZ = slice x
+function sliceToWorld(plane, d, u, v) {
+  if (plane === "XY") return { x: u, y: v, z: d };
+  if (plane === "XZ") return { x: u, y: d, z: v };
+  return { x: d, y: u, z: v };
+}
+
+function upperLetter(s, locale) {
+  return String(s).normalize("NFC").toLocaleUpperCase(locale).normalize("NFC");
+}
+
+// One typed or composed character -> letter of the alphabet, null if it is not in it
+function alphabetLetter(k, letters, locale) {
+  if (!k) return null;
+  const up = upperLetter(k, locale);
+  // one code point: letters outside the BMP are two UTF-16 units
+  return [...up].length === 1 && letters.includes(up) ? up : null;
+}
+
+// Direction name: the puzzle's own dirLabels ({ R, D, I } or { et: {...}, en: {...} }), else the table
+function directionName(dir, labels) {
+  const m = labels && (labels[lang] ?? (typeof labels.R === "string" || typeof labels.D === "string" || typeof labels.I === "string" ? labels : null));
+  return (m && typeof m[dir] === "string" && m[dir]) || tr(`dir.${dir}`);
+}
+
+// True if text is a name of dir in any language (STRINGS or the puzzle's dirLabels): a default hint, not a clue
+function isDirectionName(dir, text, labels) {
+  if (Object.values(STRINGS).some(s => s[`dir.${dir}`] === text)) return true;
+  return !!labels && typeof labels === "object" &&
+    [labels, ...Object.values(labels)].some(m => m && typeof m === "object" && m[dir] === text);
+}
+
+// FNV-1a (32 bit) as hex, enough to tell puzzles apart
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, "0");
+}
+
+// { x, y, z } with integer coordinates (blocks, solution cells, word / clue starts)
+function isCoord(p) {
+  return !!p && Number.isInteger(p.x) && Number.isInteger(p.y) && Number.isInteger(p.z);
+}
+
+// Reading order (z, y, x, then R/D/I) so loader numbering looks like findSlots()
+function sortWordsReadingOrder(list) {
+  const dirOrder = { R: 0, D: 1, I: 2 };
+  return list.sort((a, b) =>
+    (a.start.z - b.start.z) || (a.start.y - b.start.y) || (a.start.x - b.start.x) ||
+    (dirOrder[a.dir] - dirOrder[b.dir]));
+}
+
+// ---------------- ALPHABET ----------------
+/**
+ * js.alphabet: string ("ABC...") or array of letters; js.locale: BCP 47 tag for upper-casing.
+ * Letters are upper-cased with the locale and must be a single character after NFC.
+ * Returns { letters, locale, problems }; problems use the validation report shape.
+ */
+function puzzleAlphabet(js) {
+  const problems = [];
+  let locale = typeof js.locale === "string" && js.locale ? js.locale : DEFAULT_LOCALE;
+  try {
+    "a".toLocaleUpperCase(locale);
+  } catch (e) {
+    problems.push({ level: "warning", code: "BAD_LOCALE", message: tr("p.BAD_LOCALE", { locale: js.locale, fallback: DEFAULT_LOCALE }) });
+    locale = DEFAULT_LOCALE;
+  }
+  if (js.alphabet == null) return { letters: DEFAULT_ALPHABET, locale, problems };
+
+  const raw = Array.isArray(js.alphabet) ? js.alphabet.map(String)
+    : typeof js.alphabet === "string" ? Array.from(js.alphabet.normalize("NFC")) : null;
+  let letters = "";
+  const bad = [];
+  for (const r of (raw ?? [])) {
+    const up = upperLetter(r.trim(), locale);
+    if (!up) continue;
+    if ([...up].length !== 1) bad.push(r);
+    else if (!letters.includes(up)) letters += up;
+  }
+  if (!letters) {
+    problems.push({ level: "error", code: "BAD_ALPHABET", message: tr("p.NO_ALPHABET") });
+    return { letters: DEFAULT_ALPHABET, locale, problems };
+  }
+  if (bad.length) {
+    problems.push({ level: "error", code: "BAD_ALPHABET", message: tr("p.BAD_ALPHABET", { letters: bad.join(", ") }) });
+  }
+  return { letters, locale, problems };
+}
+
+// alphabet/locale/dirLabels/mask (and the generator's seed/symmetry) as declared in js, to carry into a converted puzzle
+function puzzleMetaFields(js) {
+  const out = {};
+  for (const k of ["seed", "symmetry", "alphabet", "locale", "dirLabels", "mask"]) if (js[k] != null) out[k] = js[k];
+  return out;
+}
+
+// ---------------- MASK (shaped puzzles) ----------------
+/**
+ * js.mask: the puzzle's shape as nz layers of ny rows, each row a string of nx characters;
+ * "." (or a space) is outside the shape, anything else inside. Outside cells are not blocks:
+ * they are simply not part of the puzzle, but words stop at them the same way.
+ * Returns { inside, problems }: inside(x, y, z) for cells in bounds, null without a (usable) mask.
+ */
+function puzzleMask(js, dims) {
+  if (js.mask == null) return { inside: null, problems: [] };
+  const { nx, ny, nz } = dims;
+  const m = js.mask;
+  const ok = Array.isArray(m) && m.length === nz && m.every(layer =>
+    Array.isArray(layer) && layer.length === ny && layer.every(row => typeof row === "string" && row.length === nx));
+  if (!ok) {
+    return { inside: null, problems: [{ level: "error", code: "BAD_MASK", message: tr("p.BAD_MASK", { nx, ny, nz }) }] };
+  }
+  const inside = (x, y, z) => m[z][y][x] !== "." && m[z][y][x] !== " ";
+  if (!m.some(layer => layer.some(row => /[^. ]/.test(row)))) {
+    return { inside: null, problems: [{ level: "error", code: "BAD_MASK", message: tr("p.EMPTY_MASK") }] };
+  }
+  return { inside, problems: [] };
+}
+
+// Built-in shapes for the generator: inside(x, y, z, nx, ny, nz) -> true for cells of the shape
+const SHAPES = {
+  // square layers growing from a small top at z = 0 to the full base at z = nz - 1
+  pyramid: (x, y, z, nx, ny, nz) => {
+    const t = (z + 1) / nz;
+    const w = Math.max(1, Math.ceil(nx * t)), h = Math.max(1, Math.ceil(ny * t));
+    const x0 = Math.floor((nx - w) / 2), y0 = Math.floor((ny - h) / 2);
+    return x >= x0 && x < x0 + w && y >= y0 && y < y0 + h;
+  },
+  // ellipsoid touching every face of the box
+  sphere: (x, y, z, nx, ny, nz) => {
+    const d = (v, n) => (v + 0.5 - n / 2) / (n / 2);
+    return d(x, nx) ** 2 + d(y, ny) ** 2 + d(z, nz) ** 2 <= 1;
+  },
+};
+
+// js.mask layers ("x" inside, "." outside) for one of the SHAPES
+function shapeMask(name, nx, ny, nz) {
+  const inside = SHAPES[name];
+  const layers = [];
+  for (let z = 0; z < nz; z++) {
+    const rows = [];
+    for (let y = 0; y < ny; y++) {
+      let row = "";
+      for (let x = 0; x < nx; x++) row += inside(x, y, z, nx, ny, nz) ? "x" : ".";
+      rows.push(row);
+    }
+    layers.push(rows);
+  }
+  return layers;
+}
+
+// ---------------- FORMAT CONVERSION ----------------
+// "words" or "legacy": a known version decides, without one the content does (legacy when it is empty)
+function puzzleFormat(js) {
+  const byVersion = Object.keys(FORMAT_VERSION).find(f => FORMAT_VERSION[f] === js.version);
+  return byVersion ?? contentFormat(js) ?? "legacy";
+}
+
+// Format the entries belong to: words[] with words, else solution[] / clues{}, else a bare words[]; null for none
+function contentFormat(js) {
+  if (Array.isArray(js.words) && js.words.length > 0) return "words";
+  if (js.solution != null || js.clues != null) return "legacy";
+  return Array.isArray(js.words) ? "words" : null;
+}
+
+// blocks, solution, words and clues of js with malformed entries left out (validatePuzzleJSON() reports them)
+function puzzleEntries(js) {
+  const list = v => (Array.isArray(v) ? v : []);
+  const clues = js.clues && typeof js.clues === "object" && !Array.isArray(js.clues) ? js.clues : {};
+  const okClue = c => !!c && typeof c === "object" && isCoord(c.start);
+  return {
+    blocks: list(js.blocks).filter(isCoord),
+    solution: list(js.solution).filter(isCoord),
+    words: list(js.words).filter(w => !!w && typeof w === "object" && DIRS.includes(w.dir) && isCoord(w.start)),
+    clues: { R: list(clues.R).filter(okClue), D: list(clues.D).filter(okClue), I: list(clues.I).filter(okClue) },
+  };
+}
+
+// Shared grid view of either format: dims, open cells (not blocked, inside the mask) and solution letters by "x,y,z"
+function puzzleGrid(js) {
+  const dims = js.dims ?? { nx: js.nx, ny: js.ny, nz: js.nz };
+  const { nx, ny, nz } = dims;
+  const key = (x, y, z) => `${x},${y},${z}`;
+  const inside = (x, y, z) => x >= 0 && x < nx && y >= 0 && y < ny && z >= 0 && z < nz;
+  const shape = puzzleMask(js, dims).inside;
+  const parts = puzzleEntries(js);
+  const blocked = new Set();
+  for (const b of parts.blocks) if (inside(b.x, b.y, b.z)) blocked.add(key(b.x, b.y, b.z));
+  const open = (x, y, z) => inside(x, y, z) && !blocked.has(key(x, y, z)) && (!shape || shape(x, y, z));
+
+  const { locale } = puzzleAlphabet(js);
+  const letters = new Map();
+  if (puzzleFormat(js) === "words") {
+    // same rules as the loader: walk until edge/block, later words win
+    for (const w of parts.words) {
+      const { dx, dy, dz } = dirStep(w.dir);
+      const ans = Array.from(upperLetter(w.answer ?? "", locale));
+      let { x, y, z } = w.start;
+      for (let i = 0; i < ans.length && open(x, y, z); i++) {
+        letters.set(key(x, y, z), ans[i]);
+        x += dx; y += dy; z += dz;
+      }
+    }
+  } else {
+    for (const s of parts.solution) {
+      if (open(s.x, s.y, s.z) && s.ch) letters.set(key(s.x, s.y, s.z), upperLetter(s.ch, locale));
+    }
+  }
+  return { dims: { nx, ny, nz }, key, open, letters, parts };
+}
+
+/**
+ * Legacy -> words[]. Clues come from js.clues or, like the loader, from the block layout.
+ * Words with missing solution letters are dropped and listed in problems.
+ * Returns { puzzle, problems }.
+ */
+function convertToWordsFormat(js) {
+  if (puzzleFormat(js) === "words") {
+    return { puzzle: { ...js, version: FORMAT_VERSION.words }, problems: [] };
+  }
+
+  const g = puzzleGrid(js);
+  const given = g.parts.clues;
+  const hasClues = given.R.length || given.D.length || given.I.length;
+  const src = hasClues ? given : findSlots(g.dims.nx, g.dims.ny, g.dims.nz, g.open, js.dirLabels);
+
+  const words = [];
+  const problems = [];
+  for (const dir of DIRS) {
+    const { dx, dy, dz } = dirStep(dir);
+    for (const c of src[dir]) {
+      let { x, y, z } = c.start;
+      let answer = "", n = 0;
+      while (g.open(x, y, z) && (c.len == null || n < c.len)) {
+        answer += g.letters.get(g.key(x, y, z)) ?? "?";
+        n++;
+        x += dx; y += dy; z += dz;
+      }
+      if (!answer || answer.includes("?")) {
+        problems.push({
+          level: "warning", code: "INCOMPLETE_SLOT",
+          message: tr("p.MISSING_SOLUTION", { slot: `${dir} ${c.n ?? "?"}`, answer: answer || tr("empty") }),
+        });
+        continue;
+      }
+      const w = { dir, start: { x: c.start.x, y: c.start.y, z: c.start.z }, answer };
+      if (c.hint && !isDirectionName(dir, c.hint, js.dirLabels)) w.clue = c.hint;
+      words.push(w);
+    }
+  }
+  sortWordsReadingOrder(words);
+
+  return {
+    puzzle: {
+      version: FORMAT_VERSION.words,
+      dims: g.dims,
+      ...puzzleMetaFields(js),
+      blocks: g.parts.blocks.map(b => ({ x: b.x, y: b.y, z: b.z })),
+      words: words.map((w, i) => ({ id: i + 1, ...w })),
+    },
+    problems,
+  };
+}
+
+/**
+ * words[] -> legacy. Solution letters from the words, clues numbered like the loader
+ * (same start cell = same number). Returns { puzzle, problems }.
+ */
+function convertToLegacyFormat(js) {
+  if (puzzleFormat(js) === "legacy") {
+    return { puzzle: { ...js, version: FORMAT_VERSION.legacy }, problems: [] };
+  }
+
+  const g = puzzleGrid(js);
+  const solution = [];
+  for (let z = 0; z < g.dims.nz; z++)
+    for (let y = 0; y < g.dims.ny; y++)
+      for (let x = 0; x < g.dims.nx; x++) {
+        const ch = g.letters.get(g.key(x, y, z));
+        if (ch) solution.push({ x, y, z, ch });
+      }
+
+  const out = { R: [], D: [], I: [] };
+  const problems = [];
+  const startToNumber = new Map();
+  let nextN = 1;
+  for (const w of js.words) {
+    if (!w || typeof w !== "object" || !DIRS.includes(w.dir) || !isCoord(w.start)) {
+      problems.push({ level: "warning", code: "UNKNOWN_DIR", message: tr("p.SKIPPED_WORD", { id: w?.id ?? "?" }) });
+      continue;
+    }
+    const k = g.key(w.start.x, w.start.y, w.start.z);
+    let n = startToNumber.get(k);
+    if (!n) { n = nextN++; startToNumber.set(k, n); }
+    out[w.dir].push({
+      n,
+      len: [...String(w.answer ?? "")].length,
+      start: { x: w.start.x, y: w.start.y, z: w.start.z },
+      hint: w.clue ?? directionName(w.dir, js.dirLabels),
+    });
+  }
+
+  return {
+    puzzle: {
+      version: FORMAT_VERSION.legacy,
+      dims: g.dims,
+      ...puzzleMetaFields(js),
+      blocks: g.parts.blocks.map(b => ({ x: b.x, y: b.y, z: b.z })),
+      solution,
+      clues: out,
+    },
+    problems,
+  };
+}
+
+// ---------------- VALIDATION ----------------
+/**
+ * Checks a puzzle JSON (either format) without touching the world.
+ * Returns [{ level: "error"|"warning", code, message, ...details }], empty when all is fine.
+ * MISSING_DIMS is fatal: nothing else is checked and the puzzle can never be loaded.
+ */
+function validatePuzzleJSON(js) {
+  const out = [];
+  const err = (code, message, extra) => out.push({ level: "error", code, message, ...extra });
+  const warn = (code, message, extra) => out.push({ level: "warning", code, message, ...extra });
+
+  const dims = js && (js.dims ?? { nx: js.nx, ny: js.ny, nz: js.nz });
+  const okDim = v => Number.isInteger(v) && v > 0;
+  if (!dims || !okDim(dims.nx) || !okDim(dims.ny) || !okDim(dims.nz)) {
+    err("MISSING_DIMS", tr("p.MISSING_DIMS"), { fatal: true });
+    return out;
+  }
+
+  if (js.version != null) {
+    const fmt = contentFormat(js);
+    if (!Object.values(FORMAT_VERSION).includes(js.version)) {
+      warn("UNKNOWN_VERSION", tr("p.UNKNOWN_VERSION", { version: js.version, format: puzzleFormat(js) }));
+    } else if (fmt && js.version !== FORMAT_VERSION[fmt]) {
+      warn("VERSION_MISMATCH", tr("p.VERSION_MISMATCH", { version: js.version, format: fmt, expected: FORMAT_VERSION[fmt] }));
+    }
+  }
+
+  const abc = puzzleAlphabet(js);
+  out.push(...abc.problems);
+  if (js.dirLabels != null && (typeof js.dirLabels !== "object" || Array.isArray(js.dirLabels))) {
+    warn("BAD_DIR_LABELS", tr("p.BAD_DIR_LABELS"));
+  }
+
+  const { nx, ny, nz } = dims;
+  const inside = (x, y, z) => x >= 0 && x < nx && y >= 0 && y < ny && z >= 0 && z < nz;
+  const key = (x, y, z) => `${x},${y},${z}`;
+  const mask = puzzleMask(js, dims);
+  out.push(...mask.problems);
+  const shape = mask.inside ?? (() => true);
+
+  // malformed lists and entries are reported here and skipped everywhere (puzzleEntries())
+  const parts = puzzleEntries(js);
+  const badList = (v, okEntry) => v != null && (!Array.isArray(v) || !v.every(okEntry));
+  if (badList(js.blocks, isCoord)) err("BAD_BLOCKS", tr("p.BAD_BLOCKS"));
+  if (badList(js.solution, isCoord)) err("BAD_SOLUTION", tr("p.BAD_SOLUTION"));
+
+  const blocked = new Set();
+  for (const b of parts.blocks) if (inside(b.x, b.y, b.z)) blocked.add(key(b.x, b.y, b.z));
+  const open = (x, y, z) => inside(x, y, z) && !blocked.has(key(x, y, z)) && shape(x, y, z);
+
+  // Both formats reduce to entries { dir, start, len, answer? }
+  const entries = [];
+  const useWords = Array.isArray(js.words) && js.words.length > 0;
+  if (useWords) {
+    js.words.forEach((w, i) => {
+      if (!w || typeof w !== "object") {
+        err("BAD_ENTRY", tr("p.BAD_ENTRY", { label: tr("word", { id: i + 1 }) }), { index: i });
+        return;
+      }
+      const label = tr("word", { id: w.id ?? i + 1 });
+      if (!DIRS.includes(w.dir)) {
+        err("UNKNOWN_DIR", tr("p.UNKNOWN_DIR", { label, dir: w.dir }), { word: w });
+        return;
+      }
+      if (!isCoord(w.start)) {
+        err("BAD_START", tr("p.BAD_START", { label }), { word: w });
+        return;
+      }
+      const answer = upperLetter(w.answer ?? "", abc.locale);
+      const chars = Array.from(answer);
+      entries.push({ dir: w.dir, start: w.start, len: chars.length, answer, chars, label, word: w });
+    });
+  } else if (js.clues != null && (typeof js.clues !== "object" || Array.isArray(js.clues))) {
+    err("BAD_CLUES", tr("p.BAD_CLUES", { dir: "R/D/I" }));
+  } else if (js.clues) {
+    for (const k of Object.keys(js.clues)) {
+      if (!DIRS.includes(k)) {
+        err("UNKNOWN_DIR", tr("p.UNKNOWN_CLUE_DIR", { dir: k }));
+        continue;
+      }
+      if (js.clues[k] == null) continue;
+      if (!Array.isArray(js.clues[k])) {
+        err("BAD_CLUES", tr("p.BAD_CLUES", { dir: k }));
+        continue;
+      }
+      js.clues[k].forEach((c, i) => {
+        if (!c || typeof c !== "object") {
+          err("BAD_ENTRY", tr("p.BAD_ENTRY", { label: `clues.${k}[${i}]` }), { index: i });
+          return;
+        }
+        const label = `${k} ${c.n ?? "?"}`;
+        if (!isCoord(c.start)) {
+          err("BAD_START", tr("p.BAD_START", { label }), { clue: c });
+          return;
+        }
+        if (c.len != null && !(Number.isInteger(c.len) && c.len >= 0)) {
+          err("BAD_LEN", tr("p.BAD_LEN", { label, len: c.len }), { clue: c });
+          return;
+        }
+        entries.push({ dir: k, start: c.start, len: c.len ?? 0, label, clue: c });
+      });
+    }
+  }
+
+  const letters = new Map();   // key -> letter (words[] only)
+  const covered = new Set();
+  const slots = new Map();     // "dir@x,y,z" -> label
+  const answers = new Map();   // answer -> label
+
+  for (const e of entries) {
+    const { dx, dy, dz } = dirStep(e.dir);
+    let { x, y, z } = e.start;
+
+    const slotKey = `${e.dir}@${key(x, y, z)}`;
+    if (slots.has(slotKey)) {
+      err("DUPLICATE_SLOT", tr("p.DUPLICATE_SLOT", { label: e.label, other: slots.get(slotKey) }), { at: { x, y, z } });
+    } else {
+      slots.set(slotKey, e.label);
+    }
+    if (e.answer) {
+      if (answers.has(e.answer)) {
+        warn("DUPLICATE_WORD", tr("p.DUPLICATE_WORD", { label: e.label, answer: e.answer, other: answers.get(e.answer) }));
+      } else {
+        answers.set(e.answer, e.label);
+      }
+    }
+
+    let broken = false;
+    for (let i = 0; i < e.len; i++) {
+      if (!inside(x, y, z)) {
+        err("WORD_OUT_OF_BOUNDS", tr("p.WORD_OUT_OF_BOUNDS", { label: e.label, at: key(x, y, z) }), { at: { x, y, z } });
+        broken = true;
+        break;
+      }
+      if (!shape(x, y, z)) {
+        err("WORD_OUTSIDE_MASK", tr("p.WORD_OUTSIDE_MASK", { label: e.label, at: key(x, y, z) }), { at: { x, y, z } });
+        broken = true;
+        break;
+      }
+      if (blocked.has(key(x, y, z))) {
+        err("WORD_HITS_BLOCK", tr("p.WORD_HITS_BLOCK", { label: e.label, at: key(x, y, z) }), { at: { x, y, z } });
+        broken = true;
+        break;
+      }
+      covered.add(key(x, y, z));
+      if (e.answer) {
+        const had = letters.get(key(x, y, z));
+        if (had && had !== e.chars[i]) {
+          err("CROSSING_CONFLICT", tr("p.CROSSING_CONFLICT", { label: e.label, at: key(x, y, z), had, wants: e.chars[i] }),
+            { at: { x, y, z }, had, wants: e.chars[i] });
+        }
+        letters.set(key(x, y, z), e.chars[i]);
+      }
+      x += dx; y += dy; z += dz;
+    }
+
+    // word must fill its run: no open cell right before the start or right after the end
+    const s = e.start;
+    if (!broken && (open(s.x - dx, s.y - dy, s.z - dz) || open(x, y, z))) {
+      err("PARTIAL_RUN", tr("p.PARTIAL_RUN", { label: e.label, len: e.len }), { at: { ...s } });
+    }
+  }
+
+  // letters the solver could never type
+  const foreign = new Map(); // letter -> where it was first seen
+  for (const e of entries) {
+    for (const ch of (e.answer ?? "")) if (!abc.letters.includes(ch) && !foreign.has(ch)) foreign.set(ch, e.label);
+  }
+  if (!useWords) {
+    for (const s of parts.solution) {
+      for (const ch of upperLetter(s.ch ?? "", abc.locale)) {
+        if (!abc.letters.includes(ch) && !foreign.has(ch)) foreign.set(ch, tr("cellAt", { at: key(s.x, s.y, s.z) }));
+      }
+    }
+  }
+  if (foreign.size) {
+    const shown = [...foreign].map(([ch, at]) => `${ch} (${at})`).join(", ");
+    err("OUT_OF_ALPHABET", tr("p.OUT_OF_ALPHABET", { letters: shown }), { letters: [...foreign.keys()] });
+  }
+
+  // only meaningful when the puzzle defines its words
+  if (entries.length) {
+    const missed = [];
+    for (let z = 0; z < nz; z++)
+      for (let y = 0; y < ny; y++)
+        for (let x = 0; x < nx; x++)
+          if (open(x, y, z) && !covered.has(key(x, y, z))) missed.push({ x, y, z });
+    if (missed.length) {
+      const shown = missed.slice(0, 8).map(p => `(${p.x},${p.y},${p.z})`).join(" ");
+      warn("UNCOVERED_CELLS", tr("p.UNCOVERED_CELLS", { n: missed.length, cells: shown + (missed.length > 8 ? " ..." : "") }),
+        { cells: missed });
+    }
+  }
+
+  return out;
+}
+
+// ---------------- SLOTS ----------------
+// Slots of any grid given as an isOpen(x, y, z) predicate, numbered in reading order.
+// Hints are the direction names (dirLabels as in directionName()).
+function findSlots(nx, ny, nz, isOpen, dirLabels) {
+  const R = [], D = [], I = [];
+  let n = 0;
+  const open = (x, y, z) => x >= 0 && x < nx && y >= 0 && y < ny && z >= 0 && z < nz && isOpen(x, y, z);
+  const runLen = (x, y, z, dx, dy, dz) => {
+    let len = 0;
+    while (open(x, y, z)) { len++; x += dx; y += dy; z += dz; }
+    return len;
+  };
+  const hint = dir => directionName(dir, dirLabels);
+
+  for (let z = 0; z < nz; z++) for (let y = 0; y < ny; y++) for (let x = 0; x < nx; x++) {
+    if (!open(x, y, z)) continue;
+
+    const startsR = !open(x - 1, y, z) && open(x + 1, y, z);
+    const startsD = !open(x, y - 1, z) && open(x, y + 1, z);
+    const startsI = !open(x, y, z - 1) && open(x, y, z + 1);
+
+    if (startsR || startsD || startsI) n++;
+
+    if (startsR) R.push({ n, len: runLen(x, y, z, 1, 0, 0), start: { x, y, z }, hint: hint("R") });
+    if (startsD) D.push({ n, len: runLen(x, y, z, 0, 1, 0), start: { x, y, z }, hint: hint("D") });
+    if (startsI) I.push({ n, len: runLen(x, y, z, 0, 0, 1), start: { x, y, z }, hint: hint("I") });
+  }
+
+  return { R, D, I };
+}
+
+// ---------------- PUZZLE ----------------
+// bad: typed letter failed a check, revealed: letter was filled in by reveal,
+// outside: not part of the shape (mask); such cells are also block, so words and moves stop there
+function newCell() {
+  return { block: false, outside: false, ch: "", sol: "", numR: 0, numD: 0, numI: 0, bad: false, revealed: false };
+}
+
+/**
+ * One cube: world[z][y][x] cells (ch = typed letter, sol = solution), clues { R, D, I }
+ * ({ n, start, len, hint, answer }, numbers also on the start cells as numR/numD/numI)
+ * and the alphabet, locale, dirLabels and mask the puzzle declared.
+ */
+class Puzzle {
+  // Empty cube; meta = { alphabet, locale, dirLabels, mask } as in the puzzle JSON (a mask of other dims is ignored)
+  constructor(nx, ny, nz, meta = {}) {
+    this.nx = nx; this.ny = ny; this.nz = nz;
+    const abc = puzzleAlphabet(meta);
+    this.alphabet = abc.letters;
+    this.locale = abc.locale;
+    const l = meta.dirLabels;
+    this.dirLabels = l && typeof l === "object" && !Array.isArray(l) ? l : null;
+
+    this.world = new Array(nz);
+    for (let z = 0; z < nz; z++) {
+      this.world[z] = new Array(ny);
+      for (let y = 0; y < ny; y++) {
+        this.world[z][y] = new Array(nx);
+        for (let x = 0; x < nx; x++) this.world[z][y][x] = newCell();
+      }
+    }
+    const shape = puzzleMask(meta, { nx, ny, nz }).inside;
+    if (shape) {
+      for (let z = 0; z < nz; z++)
+        for (let y = 0; y < ny; y++)
+          for (let x = 0; x < nx; x++) {
+            if (shape(x, y, z)) continue;
+            const ce = this.world[z][y][x];
+            ce.outside = ce.block = true;
+          }
+    }
+    this.clues = { R: [], D: [], I: [] };
+    this.source = null; // JSON given to fromJSON()
+  }
+
+  /**
+   * Builds a puzzle from either format (js is not changed). Does not validate: run validatePuzzleJSON() first
+   * (dims must be there); malformed blocks, words and clues are skipped, on crossing conflicts the later word wins.
+   */
+  static fromJSON(js) {
+    const dims = js.dims ?? { nx: js.nx, ny: js.ny, nz: js.nz };
+    const p = new Puzzle(dims.nx, dims.ny, dims.nz, js);
+    p.source = js;
+    const parts = puzzleEntries(js);
+
+    for (const b of parts.blocks) {
+      if (p.inBounds(b.x, b.y, b.z)) p.cell(b.x, b.y, b.z).block = true;
+    }
+
+    // FORMAT A: words[] give the solution letters and the clues (same start cell = same number)
+    if (puzzleFormat(js) === "words") {
+      const words = parts.words;
+      // cells the answer actually covers: a word running off the cube or into a block gets a shorter clue
+      const cellsOf = words.map(w => {
+        const ans = Array.from(upperLetter(w.answer ?? "", p.locale));
+        const cells = p.wordCells(w.dir, w.start, ans.length);
+        cells.forEach((at, i) => { p.cell(at.x, at.y, at.z).sol = ans[i]; });
+        return cells;
+      });
+
+      const clues = { R: [], D: [], I: [] };
+      const startToNumber = new Map(); // "x,y,z" -> n
+      let nextN = 1;
+      words.forEach((w, i) => {
+        const key = `${w.start.x},${w.start.y},${w.start.z}`;
+        let n = startToNumber.get(key);
+        if (!n) { n = nextN++; startToNumber.set(key, n); }
+        clues[w.dir].push({
+          n,
+          start: { x: w.start.x, y: w.start.y, z: w.start.z },
+          len: cellsOf[i].length,
+          hint: w.clue ?? p.defaultHint(w.dir),
+        });
+      });
+      p.setClues(clues);
+      return p;
+    }
+
+    // FORMAT B (legacy): solution[] + clues{}, clues computed from the blocks when there are none
+    for (const s of parts.solution) {
+      if (p.isOpen(s.x, s.y, s.z)) p.cell(s.x, s.y, s.z).sol = upperLetter(s.ch ?? "", p.locale);
+    }
+    // copies: setClues() fills in hint / answer, and js stays as it was given
+    const given = parts.clues;
+    const copy = list => list.map(c => ({ ...c, start: { x: c.start.x, y: c.start.y, z: c.start.z } }));
+    p.setClues(given.R.length || given.D.length || given.I.length
+      ? { R: copy(given.R), D: copy(given.D), I: copy(given.I) }
+      : p.slots());
+    return p;
+  }
+
+  inBounds(x, y, z) {
+    return x >= 0 && x < this.nx && y >= 0 && y < this.ny && z >= 0 && z < this.nz;
+  }
+
+  cell(x, y, z) {
+    return this.world[z][y][x];
+  }
+
+  cellIndex(x, y, z) {
+    return (z * this.ny + y) * this.nx + x;
+  }
+
+  isOpen(x, y, z) {
+    return this.inBounds(x, y, z) && !this.world[z][y][x].block;
+  }
+
+  // Clue text used when a slot has none
+  defaultHint(dir) {
+    return directionName(dir, this.dirLabels);
+  }
+
+  // Slots from the blocks alone, with default hints
+  slots() {
+    return findSlots(this.nx, this.ny, this.nz, (x, y, z) => !this.world[z][y][x].block, this.dirLabels);
+  }
+
+  // Makes clues the puzzle's clues: numbers on the start cells, missing hints, answers from sol
+  setClues(clues) {
+    for (let z = 0; z < this.nz; z++)
+      for (let y = 0; y < this.ny; y++)
+        for (let x = 0; x < this.nx; x++) {
+          const ce = this.world[z][y][x];
+          ce.numR = ce.numD = ce.numI = 0;
+        }
+    for (const dir of DIRS) {
+      for (const c of clues[dir]) {
+        if (!c.hint) c.hint = this.defaultHint(dir);
+        c.answer = this.readSolution(dir, c.start);
+        if (this.inBounds(c.start.x, c.start.y, c.start.z)) this.cell(c.start.x, c.start.y, c.start.z)[`num${dir}`] = c.n;
+      }
+    }
+    this.clues = clues;
+  }
+
+  // Open cells from start along dir, at most len, up to the first block or edge
+  wordCells(dir, start, len = Infinity) {
+    const { dx, dy, dz } = dirStep(dir);
+    let { x, y, z } = start;
+    const out = [];
+    while (out.length < len && this.isOpen(x, y, z)) {
+      out.push({ x, y, z });
+      x += dx; y += dy; z += dz;
+    }
+    return out;
+  }
+
+  // Typed letters of a word, "_" for empty cells (e.g. "S_L_")
+  readWord(dir, start, len) {
+    return this.wordCells(dir, start, len).map(at => this.cell(at.x, at.y, at.z).ch || "_").join("");
+  }
+
+  // Solution letters from start to the end of the run, "?" where sol is missing
+  readSolution(dir, start) {
+    return this.wordCells(dir, start).map(at => this.cell(at.x, at.y, at.z).sol || "?").join("");
+  }
+
+  // Key (any case, composed or not) -> puzzle letter, null if the alphabet does not have it
+  letter(k) {
+    return alphabetLetter(k, this.alphabet, this.locale);
+  }
+
+  // Types k into an open cell ("" clears it); false for blocks and letters outside the alphabet
+  setLetter(x, y, z, k) {
+    if (!this.isOpen(x, y, z)) return false;
+    const ch = k ? this.letter(k) : "";
+    if (ch == null) return false;
+    const ce = this.cell(x, y, z);
+    ce.ch = ch;
+    ce.bad = false;
+    ce.revealed = false;
+    return true;
+  }
+
+  // Blocks inside the shape (outside cells are in the mask, not here)
+  listBlocks() {
+    const blocks = [];
+    for (let z = 0; z < this.nz; z++)
+      for (let y = 0; y < this.ny; y++)
+        for (let x = 0; x < this.nx; x++) {
+          const ce = this.world[z][y][x];
+          if (ce.block && !ce.outside) blocks.push({ x, y, z });
+        }
+    return blocks;
+  }
+
+  // Cells of the shape (all of them without a mask)
+  insideCount() {
+    let n = 0;
+    for (let z = 0; z < this.nz; z++)
+      for (let y = 0; y < this.ny; y++)
+        for (let x = 0; x < this.nx; x++) if (!this.world[z][y][x].outside) n++;
+    return n;
+  }
+
+  // js.mask layers from the outside cells ("x" inside, "." outside), null for a plain box
+  maskLayers() {
+    if (this.insideCount() === this.nx * this.ny * this.nz) return null;
+    return this.world.map(layer => layer.map(row => row.map(ce => (ce.outside ? "." : "x")).join("")));
+  }
+
+  // Puts (x, y, z) outside the shape or back inside it (as an empty open cell)
+  setOutside(x, y, z, outside) {
+    const ce = this.cell(x, y, z);
+    Object.assign(ce, newCell(), { outside, block: outside });
+  }
+
+  // alphabet/locale/dirLabels to carry into a puzzle JSON made from this one
+  metaFields() {
+    return { alphabet: this.alphabet, locale: this.locale, ...(this.dirLabels && { dirLabels: this.dirLabels }) };
+  }
+
+  // { mask } for a shaped puzzle's JSON, {} for a box (kept apart from metaFields(): a mask only fits these dims)
+  maskFields() {
+    const mask = this.maskLayers();
+    return mask ? { mask } : {};
+  }
+
+  /**
+   * words[] (FORMAT A) from the blocks and solution letters; clueText(dir, start) gives the clue, if any.
+   * Slots without any letter are left out silently, half-filled ones are left out and listed in problems.
+   * Returns { puzzle, problems }.
+   */
+  toWordsJSON(clueText = () => "") {
+    const found = this.slots();
+    const words = [];
+    const problems = [];
+    for (const dir of DIRS) {
+      for (const c of found[dir]) {
+        const answer = this.readSolution(dir, c.start);
+        if (/^\?+$/.test(answer)) continue;
+        if (answer.includes("?")) {
+          problems.push({
+            level: "warning", code: "INCOMPLETE_SLOT",
+            message: tr("p.INCOMPLETE_SLOT", { slot: `${dir} (${c.start.x},${c.start.y},${c.start.z})`, answer }),
+          });
+          continue;
+        }
+        const w = { dir, start: { ...c.start }, answer };
+        const text = clueText(dir, c.start);
+        if (text) w.clue = text;
+        words.push(w);
+      }
+    }
+    sortWordsReadingOrder(words);
+
+    return {
+      puzzle: {
+        version: FORMAT_VERSION.words,
+        dims: { nx: this.nx, ny: this.ny, nz: this.nz },
+        ...this.metaFields(),
+        ...this.maskFields(),
+        blocks: this.listBlocks(),
+        words: words.map((w, i) => ({ id: i + 1, ...w })),
+      },
+      problems,
+    };
+  }
+
+  // validatePuzzleJSON() of the JSON this puzzle was loaded from; a puzzle built in code is checked as toWordsJSON()
+  validate() {
+    if (this.source) return validatePuzzleJSON(this.source);
+    const { puzzle, problems } = this.toWordsJSON();
+    return validatePuzzleJSON(puzzle).concat(problems);
+  }
+
+  // ---- connectivity (generator): every slice must be one 4-connected open region ----
+  // (a mask may cut a slice into several regions; the generator then keeps each of them whole)
+  sliceSize(plane) {
+    if (plane === "XY") return { U: this.nx, V: this.ny, depth: this.nz };
+    if (plane === "XZ") return { U: this.nx, V: this.nz, depth: this.ny };
+    return { U: this.ny, V: this.nz, depth: this.nx };
+  }
+
+  // same axes as sliceToWorld(), without building the coordinate object (hot in the generator)
+  sliceOpen(plane, d, u, v) {
+    if (plane === "XY") return !this.world[d][v][u].block;
+    if (plane === "XZ") return !this.world[v][d][u].block;
+    return !this.world[v][u][d].block;
+  }
+
+  sliceOpenCount(plane, d) {
+    const { U, V } = this.sliceSize(plane);
+    let c = 0;
+    for (let v = 0; v < V; v++) for (let u = 0; u < U; u++) if (this.sliceOpen(plane, d, u, v)) c++;
+    return c;
+  }
+
+  isSliceConnected(plane, d) {
+    const { U, V } = this.sliceSize(plane);
+    let start = null, open = 0;
+    for (let v = 0; v < V; v++) for (let u = 0; u < U; u++) {
+      if (this.sliceOpen(plane, d, u, v)) { open++; if (!start) start = { u, v }; }
+    }
+    if (open === 0) return false;
+
+    const vis = new Uint8Array(U * V);
+    const qu = [start.u], qv = [start.v];
+    vis[start.v * U + start.u] = 1;
+    let seen = 1;
+
+    while (qu.length) {
+      const cu = qu.pop(), cv = qv.pop();
+      for (const [du, dv] of SLICE_STEPS) {
+        const nu = cu + du, nv = cv + dv;
+        if (nu < 0 || nu >= U || nv < 0 || nv >= V) continue;
+        const idx = nv * U + nu;
+        if (vis[idx]) continue;
+        if (!this.sliceOpen(plane, d, nu, nv)) continue;
+        vis[idx] = 1; seen++;
+        qu.push(nu); qv.push(nv);
+      }
+    }
+    return seen === open;
+  }
+
+  /**
+   * (u, v) of slice d has just been blocked in a slice that was connected: true if it still is.
+   * That holds exactly when the cell's open neighbours still reach each other, so the search
+   * starts at one of them and stops as soon as the others are found. An emptied slice is false.
+   * In a slice the mask splits up, the same test means the block splits or empties none of its regions.
+   */
+  staysConnected(plane, d, u, v) {
+    const { U, V } = this.sliceSize(plane);
+    const targets = [];
+    for (const [du, dv] of SLICE_STEPS) {
+      const nu = u + du, nv = v + dv;
+      if (nu >= 0 && nu < U && nv >= 0 && nv < V && this.sliceOpen(plane, d, nu, nv)) targets.push(nv * U + nu);
+    }
+    if (targets.length === 0) return false;
+    if (targets.length === 1) return true;
+
+    const vis = new Uint8Array(U * V);
+    const queue = [targets[0]];
+    vis[targets[0]] = 1;
+    let left = targets.length - 1;
+    for (const t of targets) if (t !== targets[0]) vis[t] = 2; // 2 = neighbour not reached yet
+
+    while (queue.length) {
+      const idx = queue.pop();
+      const cu = idx % U, cv = (idx - cu) / U;
+      for (const [du, dv] of SLICE_STEPS) {
+        const nu = cu + du, nv = cv + dv;
+        if (nu < 0 || nu >= U || nv < 0 || nv >= V) continue;
+        const ni = nv * U + nu;
+        if (vis[ni] === 1 || !this.sliceOpen(plane, d, nu, nv)) continue;
+        if (vis[ni] === 2 && --left === 0) return true;
+        vis[ni] = 1;
+        queue.push(ni);
+      }
+    }
+    return false;
+  }
+
+  allSlicesConnected() {
+    for (const plane of ["XY", "XZ", "YZ"]) {
+      const { depth } = this.sliceSize(plane);
+      for (let d = 0; d < depth; d++) if (!this.isSliceConnected(plane, d)) return false;
+    }
+    return true;
+  }
+}
+
+// ---------------- GENERATION ----------------
+// Block symmetries as coordinate flips (bit 1 = x, 2 = y, 4 = z): "x" mirrors x -> nx-1-x
+// (across the plane halfway along x), "point" is the 180° point symmetry through the centre
+const SYMMETRY_FLIPS = { x: 1, y: 2, z: 4, point: 7 };
+
+// mulberry32: small seedable generator, () -> [0, 1)
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Seed as an unsigned 32-bit number: digits as they are, other text hashed, none = a random one
+function seedFrom(value) {
+  const v = String(value ?? "").trim();
+  if (!v) return (Math.random() * 4294967296) >>> 0;
+  if (/^\d+$/.test(v)) return Number(v) >>> 0;
+  return parseInt(hashString(v), 16);
+}
+
+// Every flip the symmetries generate together (0 = the cell itself), e.g. ["x", "y"] -> 0, 1, 2, 3
+function symmetryFlips(symmetry) {
+  const flips = [0];
+  for (const name of symmetry) {
+    const f = SYMMETRY_FLIPS[name];
+    if (f == null) continue;
+    for (const g of flips.slice()) if (!flips.includes(g ^ f)) flips.push(g ^ f);
+  }
+  return flips;
+}
+
+// The cell and its distinct mirror images
+function symmetricCells(p, x, y, z, flips) {
+  const out = [];
+  for (const f of flips) {
+    const c = { x: f & 1 ? p.nx - 1 - x : x, y: f & 2 ? p.ny - 1 - y : y, z: f & 4 ? p.nz - 1 - z : z };
+    if (!out.some(o => o.x === c.x && o.y === c.y && o.z === c.z)) out.push(c);
+  }
+  return out;
+}
+
+/**
+ * New puzzle JSON whose XY, XZ and YZ slices are all connected, as { puzzle, problems }.
+ * With opts.dict (buildDictIndex()) every slot gets a dictionary word (words[], no run longer than
+ * the longest word, a new block layout per failed attempt); otherwise, or when every attempt fails
+ * (a WORD_FILL_FAILED warning), the cells get pseudo letters (legacy format).
+ * opts: nx, ny, nz, dict, meta ({ alphabet, locale, dirLabels }), seed (see seedFrom()),
+ * symmetry (names from SYMMETRY_FLIPS), mask (js.mask layers for these dims, e.g. shapeMask(); blocks
+ * and words stay inside it and it is stored in the JSON) and any GEN_DEFAULTS key.
+ * The seed and symmetry are stored in the JSON: the same seed, options and word list give the same puzzle.
+ */
+function generatePuzzle(opts) {
+  const o = { ...GEN_DEFAULTS, ...opts };
+  const dims = { nx: o.nx, ny: o.ny, nz: o.nz };
+  const seed = seedFrom(o.seed);
+  const rand = seededRandom(seed);
+  const symmetry = (o.symmetry ?? []).filter(name => name in SYMMETRY_FLIPS);
+  const gen = { seed, ...(symmetry.length && { symmetry }) };
+  const problems = [];
+  const newLayout = maxRun => {
+    const p = new Puzzle(o.nx, o.ny, o.nz, { ...o.meta, mask: o.mask });
+    generateConnectedBlocks(p, { ...o, symmetry, maxRun }, rand);
+    return p;
+  };
+
+  if (o.dict) {
+    // only words the puzzle's own alphabet allows (the index may have been built for another one)
+    const abc = puzzleAlphabet(o.meta ?? {});
+    const dict = dictForAlphabet(o.dict, abc.letters, abc.locale);
+    const maxRun = dict.size ? Math.max(...dict.byLen.keys()) : 0;
+    for (let attempt = 0; attempt < o.FILL_ATTEMPTS; attempt++) {
+      const p = newLayout(maxRun);
+      const words = fillWordsFromDictionary(p, dict, o, rand);
+      if (words) {
+        const puzzle = { version: FORMAT_VERSION.words, dims, ...gen, ...p.metaFields(), ...p.maskFields(), blocks: p.listBlocks(), words };
+        return { puzzle, problems };
+      }
+    }
+    problems.push({
+      level: "warning", code: "WORD_FILL_FAILED",
+      message: tr("p.WORD_FILL_FAILED", { attempts: o.FILL_ATTEMPTS, words: dict.size }),
+    });
+  }
+
+  const p = newLayout(0);
+  const solution = [];
+  for (let z = 0; z < p.nz; z++)
+    for (let y = 0; y < p.ny; y++)
+      for (let x = 0; x < p.nx; x++) {
+        if (p.cell(x, y, z).block) continue;
+        solution.push({ x, y, z, ch: pseudoLetter(x, y, z, p.alphabet) });
+      }
+
+  const puzzle = {
+    version: FORMAT_VERSION.legacy,
+    dims,
+    ...gen,
+    ...p.metaFields(),
+    ...p.maskFields(),
+    blocks: p.listBlocks(),
+    solution,
+    clues: p.slots(),
+  };
+  return { puzzle, problems };
+}
+
+/**
+ * Random blocks (about targetBlockFrac of the cells inside the shape), each kept only if every slice keeps at least
+ * minOpenPerSlice open cells and stays connected. Open counts are kept per slice, and a new block
+ * can only split the three slices through it, so only those are checked (see staysConnected()).
+ * With o.symmetry a block comes with all its mirror images, placed one by one and all taken back
+ * if any of them fails. With o.maxRun, more blocks then cut runs longer than that where they can
+ * (see breakLongRuns()). rand: () -> [0, 1), e.g. seededRandom().
+ */
+function generateConnectedBlocks(p, o, rand = Math.random) {
+  const targetBlocks = Math.floor(p.insideCount() * o.targetBlockFrac);
+  const flips = symmetryFlips(o.symmetry ?? []);
+  const open = {};
+  for (const plane of ["XY", "XZ", "YZ"]) {
+    const { depth } = p.sliceSize(plane);
+    open[plane] = new Int32Array(depth);
+    for (let d = 0; d < depth; d++) open[plane][d] = p.sliceOpenCount(plane, d);
+  }
+  const count = (c, delta) => { open.XY[c.z] += delta; open.XZ[c.y] += delta; open.YZ[c.x] += delta; };
+  let blocks = 0;
+  let tries = 0;
+
+  // block (x, y, z) and its mirror images; false (and nothing changed) if any of them may not be
+  const place = (x, y, z) => {
+    const cells = symmetricCells(p, x, y, z, flips);
+    if (cells.some(c => p.cell(c.x, c.y, c.z).block)) return false;
+
+    const placed = [];
+    for (const c of cells) {
+      if (open.XY[c.z] <= o.minOpenPerSlice || open.XZ[c.y] <= o.minOpenPerSlice || open.YZ[c.x] <= o.minOpenPerSlice) break;
+      const ce = p.cell(c.x, c.y, c.z);
+      ce.block = true;
+      if (!p.staysConnected("XY", c.z, c.x, c.y) || !p.staysConnected("XZ", c.y, c.x, c.z) || !p.staysConnected("YZ", c.x, c.y, c.z)) {
+        ce.block = false;
+        break;
+      }
+      count(c, -1);
+      placed.push(c);
+    }
+
+    if (placed.length === cells.length) {
+      blocks += cells.length;
+      return true;
+    }
+    for (const c of placed) {
+      p.cell(c.x, c.y, c.z).block = false;
+      count(c, 1);
+    }
+    return false;
+  };
+
+  while (blocks < targetBlocks && tries < o.maxTries) {
+    tries++;
+    place((rand() * p.nx) | 0, (rand() * p.ny) | 0, (rand() * p.nz) | 0);
+  }
+  if (o.maxRun) breakLongRuns(p, o.maxRun, place, rand);
+}
+
+// Blocks a cell of every run longer than maxRun, preferring cells that leave both parts short enough,
+// until none is left or the rest cannot take a block (see generateConnectedBlocks()). place(x, y, z) -> placed?
+function breakLongRuns(p, maxRun, place, rand) {
+  const stuck = new Set();
+  for (;;) {
+    const found = p.slots();
+    let run = null;
+    for (const dir of DIRS) {
+      run = found[dir].find(c => c.len > maxRun && !stuck.has(`${dir}:${c.start.x},${c.start.y},${c.start.z}`));
+      if (run) { run.dir = dir; break; }
+    }
+    if (!run) return;
+
+    const { dx, dy, dz } = dirStep(run.dir);
+    const fits = i => i <= maxRun && run.len - 1 - i <= maxRun;
+    const offsets = sampleCandidates([...Array(run.len).keys()], run.len, rand);
+    const order = offsets.filter(fits).concat(offsets.filter(i => !fits(i)));
+    const { x, y, z } = run.start;
+    if (!order.some(i => place(x + dx * i, y + dy * i, z + dz * i))) {
+      stuck.add(`${run.dir}:${x},${y},${z}`);
+    }
+  }
+}
+
+function pseudoLetter(x, y, z, letters) {
+  const list = Array.from(letters);
+  return list[(x * 73 + y * 151 + z * 199 + 17) % list.length];
+}
+
+// ---------------- WORD FILL (dictionary) ----------------
+// Index: words grouped by length, plus posting lists "len:pos:letter" -> indices into that group.
+// Words with letters outside the alphabet (upper-cased with locale) are dropped; the index remembers both.
+function buildDictIndex(lines, letters = DEFAULT_ALPHABET, locale = DEFAULT_LOCALE) {
+  const byLen = new Map();
+  const byPos = new Map();
+  const clueOf = new Map();
+  const seen = new Set();
+
+  for (const line of lines) {
+    const [rawWord, ...rest] = String(line).split(/\t|;/);
+    const word = normalizeWord(rawWord, letters, locale);
+    const chars = word ? Array.from(word) : [];
+    if (chars.length < 2 || seen.has(word)) continue;
+    seen.add(word);
+
+    const clue = rest.join(";").trim();
+    if (clue) clueOf.set(word, clue);
+
+    if (!byLen.has(chars.length)) byLen.set(chars.length, []);
+    const list = byLen.get(chars.length);
+    for (let i = 0; i < chars.length; i++) {
+      const k = `${chars.length}:${i}:${chars[i]}`;
+      if (!byPos.has(k)) byPos.set(k, []);
+      byPos.get(k).push(list.length);
+    }
+    list.push(word);
+  }
+  return { byLen, byPos, clueOf, size: seen.size, letters, locale };
+}
+
+// dict re-indexed for another alphabet / locale (its words with other letters dropped), dict itself when it fits
+function dictForAlphabet(dict, letters, locale) {
+  if (dict.letters === letters && dict.locale === locale) return dict;
+  const lines = [];
+  for (const list of dict.byLen.values()) {
+    for (const w of list) lines.push(dict.clueOf.has(w) ? `${w}\t${dict.clueOf.get(w)}` : w);
+  }
+  return buildDictIndex(lines, letters, locale);
+}
+
+// Whole word through alphabetLetter(), null if any letter is not allowed
+function normalizeWord(raw, letters, locale) {
+  const w = String(raw ?? "").trim().normalize("NFC");
+  let out = "";
+  for (const k of w) {
+    const ch = alphabetLetter(k, letters, locale);
+    if (!ch) return null;
+    out += ch;
+  }
+  return out;
+}
+
+// pattern: array of letters, "" = free. Returned array must not be mutated (may be the index itself).
+function dictCandidates(dict, pattern) {
+  const list = dict.byLen.get(pattern.length);
+  if (!list) return [];
+
+  let best = null;
+  for (let i = 0; i < pattern.length; i++) {
+    if (!pattern[i]) continue;
+    const post = dict.byPos.get(`${pattern.length}:${i}:${pattern[i]}`);
+    if (!post) return [];
+    if (!best || post.length < best.length) best = post;
+  }
+  if (!best) return list;
+
+  const out = [];
+  for (const wi of best) {
+    const w = list[wi];
+    const chars = w.length === pattern.length ? w : Array.from(w); // split only words with letters outside the BMP
+    let ok = true;
+    for (let i = 0; i < pattern.length; i++) {
+      if (pattern[i] && chars[i] !== pattern[i]) { ok = false; break; }
+    }
+    if (ok) out.push(w);
+  }
+  return out;
+}
+
+// Up to k random entries (all of them, shuffled, if list is short)
+function sampleCandidates(list, k, rand = Math.random) {
+  if (list.length <= k) {
+    const out = list.slice();
+    for (let i = out.length - 1; i > 0; i--) {
+      const j = (rand() * (i + 1)) | 0;
+      [out[i], out[j]] = [out[j], out[i]];
+    }
+    return out;
+  }
+  const picked = new Set();
+  while (picked.size < k) picked.add((rand() * list.length) | 0);
+  return [...picked].map(i => list[i]);
+}
+
+/**
+ * Fills every R/D/I slot of puzzle p (blocks only) with distinct dictionary words,
+ * consistent at all crossings. Backtracking over slots, always picking the slot with the fewest
+ * candidates left (a slot with none means dead end -> backtrack).
+ * Returns words[] in FORMAT A, or null if no fill was found within o.FILL_MAX_STEPS.
+ * rand picks the candidates, so a seeded one makes the fill reproducible.
+ */
+function fillWordsFromDictionary(p, dict, o = GEN_DEFAULTS, rand = Math.random) {
+  const found = p.slots();
+  const slots = [];
+  for (const dir of DIRS) {
+    const { dx, dy, dz } = dirStep(dir);
+    for (const c of found[dir]) {
+      const cells = [];
+      for (let i = 0; i < c.len; i++) {
+        cells.push(p.cellIndex(c.start.x + dx * i, c.start.y + dy * i, c.start.z + dz * i));
+      }
+      slots.push({ dir, start: c.start, cells, word: null });
+    }
+  }
+
+  const letters = new Array(p.nx * p.ny * p.nz).fill("");
+  const slotsOfCell = letters.map(() => []);
+  slots.forEach((s, si) => { for (const ci of s.cells) slotsOfCell[ci].push(si); });
+
+  const cache = new Array(slots.length).fill(null);
+  const candidates = si => cache[si] ?? (cache[si] = dictCandidates(dict, slots[si].cells.map(ci => letters[ci])));
+  const invalidate = ci => { for (const si of slotsOfCell[ci]) cache[si] = null; };
+  const used = new Set();
+  let steps = 0;
+
+  function solve() {
+    if (++steps > o.FILL_MAX_STEPS) return false;
+
+    let pick = -1, pickN = Infinity;
+    for (let si = 0; si < slots.length; si++) {
+      if (slots[si].word) continue;
+      const n = candidates(si).length;
+      if (n === 0) return false;
+      if (n < pickN) { pick = si; pickN = n; }
+    }
+    if (pick < 0) return true;
+
+    const s = slots[pick];
+    for (const w of sampleCandidates(candidates(pick), o.FILL_BRANCH, rand)) {
+      if (used.has(w)) continue;
+
+      const changed = [];
+      const chars = Array.from(w);
+      s.cells.forEach((ci, i) => {
+        if (!letters[ci]) { letters[ci] = chars[i]; changed.push(ci); invalidate(ci); }
+      });
+      s.word = w;
+      used.add(w);
+
+      if (solve()) return true;
+
+      s.word = null;
+      used.delete(w);
+      for (const ci of changed) { letters[ci] = ""; invalidate(ci); }
+      if (steps > o.FILL_MAX_STEPS) return false;
+    }
+    return false;
+  }
+
+  if (!solve()) return null;
+
+  sortWordsReadingOrder(slots);
+  return slots.map((s, i) => {
+    const w = { id: i + 1, dir: s.dir, start: { ...s.start }, answer: s.word };
+    const clue = dict.clueOf.get(s.word);
+    if (clue) w.clue = clue;
+    return w;
+  });
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    DIRS, FORMAT_VERSION, DEFAULT_ALPHABET, DEFAULT_LOCALE, GEN_DEFAULTS, STRINGS,
+    tr, useLang, dirStep, sliceToWorld, upperLetter, alphabetLetter, directionName, isDirectionName, hashString, isCoord, sortWordsReadingOrder,
+    puzzleAlphabet, puzzleMetaFields, puzzleMask, SHAPES, shapeMask, puzzleFormat, puzzleEntries, puzzleGrid, convertToWordsFormat, convertToLegacyFormat,
+    validatePuzzleJSON, findSlots, Puzzle,
+    SYMMETRY_FLIPS, seededRandom, seedFrom, generatePuzzle, generateConnectedBlocks, buildDictIndex, dictCandidates, fillWordsFromDictionary,
+  };
+}
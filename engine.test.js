@@ -0,0 +1,183 @@
+/**
+ * Puzzle engine tests over the sample puzzle (node:test, no dependencies)
+ *
+ *   node --test
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  Puzzle, DIRS, GEN_DEFAULTS, seededRandom, seedFrom, generateConnectedBlocks, generatePuzzle, buildDictIndex,
+  validatePuzzleJSON,
+} = require("./engine.js");
+
+const SAMPLE = require("./cross3d-4(12).json");
+
+// A fresh copy per test: setLetter() changes the puzzle, never the JSON
+function sample() {
+  return Puzzle.fromJSON(JSON.parse(JSON.stringify(SAMPLE)));
+}
+
+test("fromJSON reads dims, solution letters and clue numbers", () => {
+  const p = sample();
+  assert.deepEqual([p.nx, p.ny, p.nz], [4, 4, 4]);
+  const ce = p.cell(0, 0, 0);
+  assert.equal(ce.sol, "S");
+  assert.equal(ce.ch, "");
+  assert.equal(ce.block, false);
+  assert.deepEqual([ce.numR, ce.numD, ce.numI], [3, 3, 3]);
+});
+
+test("fromJSON leaves the JSON as it was", () => {
+  const js = JSON.parse(JSON.stringify(SAMPLE));
+  Puzzle.fromJSON(js);
+  assert.deepEqual(js, SAMPLE);
+});
+
+test("the R clue at (0,0,0) reads SILD", () => {
+  const p = sample();
+  const c = p.clues.R.find(c => c.start.x === 0 && c.start.y === 0 && c.start.z === 0);
+  assert.ok(c);
+  assert.equal(c.len, 4);
+  assert.equal(c.answer, "SILD");
+  assert.equal(p.readSolution("R", c.start), "SILD");
+});
+
+test("slots of the block-free cube are every full row", () => {
+  const p = sample();
+  const found = p.slots();
+  for (const dir of DIRS) {
+    assert.equal(found[dir].length, 16, dir);
+    assert.ok(found[dir].every(c => c.len === 4), dir);
+  }
+});
+
+test("setLetter types alphabet letters into open cells and readWord shows them", () => {
+  const p = sample();
+  const start = { x: 0, y: 0, z: 0 };
+  assert.equal(p.readWord("R", start, 4), "____");
+
+  assert.equal(p.setLetter(0, 0, 0, "a"), true);
+  assert.equal(p.cell(0, 0, 0).ch, "A");
+  assert.equal(p.readWord("R", start, 4), "A___");
+  assert.equal(p.readWord("D", start, 4), "A___");
+
+  assert.equal(p.setLetter(1, 0, 0, "1"), false);
+  assert.equal(p.readWord("R", start, 4), "A___");
+
+  assert.equal(p.setLetter(0, 0, 0, ""), true);
+  assert.equal(p.readWord("R", start, 4), "____");
+});
+
+test("setLetter refuses blocks and cells out of bounds", () => {
+  const p = sample();
+  p.cell(1, 0, 0).block = true;
+  assert.equal(p.setLetter(1, 0, 0, "A"), false);
+  assert.equal(p.cell(1, 0, 0).ch, "");
+  assert.equal(p.setLetter(4, 0, 0, "A"), false);
+});
+
+test("validate reports only the uncovered cells warning", () => {
+  const report = sample().validate();
+  assert.deepEqual(report.map(r => [r.level, r.code]), [["warning", "UNCOVERED_CELLS"]]);
+});
+
+test("generated blocks keep every slice connected and open enough", () => {
+  const o = { ...GEN_DEFAULTS, targetBlockFrac: 0.3, minOpenPerSlice: 12 };
+  for (const seed of [1, 2, 3]) {
+    const p = new Puzzle(8, 8, 4);
+    generateConnectedBlocks(p, o, seededRandom(seed));
+    assert.ok(p.listBlocks().length > 0, `seed ${seed}`);
+    assert.ok(p.allSlicesConnected(), `seed ${seed}`);
+    for (const plane of ["XY", "XZ", "YZ"]) {
+      for (let d = 0; d < p.sliceSize(plane).depth; d++) {
+        assert.ok(p.sliceOpenCount(plane, d) >= o.minOpenPerSlice, `seed ${seed} ${plane} ${d}`);
+      }
+    }
+  }
+});
+
+test("the same seed generates the same puzzle and the seed is stored", () => {
+  const opts = { nx: 8, ny: 8, nz: 4, seed: 42, symmetry: ["x"], minOpenPerSlice: 6 };
+  const a = generatePuzzle(opts).puzzle;
+  assert.equal(JSON.stringify(generatePuzzle(opts).puzzle), JSON.stringify(a));
+  assert.equal(a.seed, 42);
+  assert.deepEqual(a.symmetry, ["x"]);
+  assert.notEqual(JSON.stringify(generatePuzzle({ ...opts, seed: 43 }).puzzle), JSON.stringify(a));
+
+  const dict = buildDictIndex(["ABA", "BAB", "AAB", "BBA", "ABB", "BAA", "AAA", "BBB"]);
+  const fill = { nx: 3, ny: 3, nz: 1, dict, seed: "word seed", targetBlockFrac: 0 };
+  const w = generatePuzzle(fill).puzzle;
+  assert.equal(w.words.length, 6);
+  assert.equal(w.seed, seedFrom("word seed"));
+  assert.equal(JSON.stringify(generatePuzzle(fill).puzzle), JSON.stringify(w));
+});
+
+test("symmetric block layouts contain every block's mirror image", () => {
+  const mirror = {
+    x: b => `${7 - b.x},${b.y},${b.z}`,
+    point: b => `${7 - b.x},${7 - b.y},${3 - b.z}`,
+  };
+  for (const name of Object.keys(mirror)) {
+    const { blocks } = generatePuzzle({ nx: 8, ny: 8, nz: 4, seed: 7, symmetry: [name], minOpenPerSlice: 6 }).puzzle;
+    assert.ok(blocks.length > 0, name);
+    const set = new Set(blocks.map(b => `${b.x},${b.y},${b.z}`));
+    for (const b of blocks) assert.ok(set.has(mirror[name](b)), `${name}: (${b.x},${b.y},${b.z})`);
+  }
+});
+
+// 3x3x1 with the top right corner outside the shape
+function shaped() {
+  const R = (x, y, answer) => ({ dir: "R", start: { x, y, z: 0 }, answer });
+  const D = (x, y, answer) => ({ dir: "D", start: { x, y, z: 0 }, answer });
+  return {
+    version: 2,
+    dims: { nx: 3, ny: 3, nz: 1 },
+    mask: [["xx.", "xxx", "xxx"]],
+    blocks: [],
+    words: [R(0, 0, "AB"), R(0, 1, "CDE"), R(0, 2, "FGH"), D(0, 0, "ACF"), D(1, 0, "BDG"), D(2, 1, "EH")]
+      .map((w, i) => ({ id: i + 1, ...w })),
+  };
+}
+
+test("slots stop at cells outside the mask", () => {
+  const p = Puzzle.fromJSON(shaped());
+  assert.equal(p.cell(2, 0, 0).outside, true);
+  const found = p.slots();
+  assert.deepEqual(found.R.map(c => c.len), [2, 3, 3]);
+  const d = found.D.find(c => c.start.x === 2);
+  assert.deepEqual([d.start.y, d.len], [1, 2]);
+  assert.equal(p.setLetter(2, 0, 0, "A"), false);
+});
+
+test("toWordsJSON keeps the mask through a round trip", () => {
+  const js = shaped();
+  const { puzzle } = Puzzle.fromJSON(js).toWordsJSON();
+  assert.deepEqual(puzzle.mask, [["xx.", "xxx", "xxx"]]);
+  const again = Puzzle.fromJSON(puzzle);
+  assert.equal(again.cell(2, 0, 0).outside, true);
+  assert.deepEqual(again.slots(), Puzzle.fromJSON(js).slots());
+  assert.deepEqual(validatePuzzleJSON(puzzle), []);
+});
+
+test("validatePuzzleJSON reports a malformed mask and words leaving the shape", () => {
+  const bad = { ...shaped(), mask: [["xx", "xxx", "xxx"]] };
+  assert.ok(validatePuzzleJSON(bad).some(r => r.code === "BAD_MASK" && r.level === "error"));
+
+  const out = shaped();
+  out.words[0].answer = "ABC";
+  const report = validatePuzzleJSON(out);
+  const w = report.find(r => r.code === "WORD_OUTSIDE_MASK");
+  assert.ok(w);
+  assert.deepEqual(w.at, { x: 2, y: 0, z: 0 });
+});
+
+test("a word running out of the cube gets a clue as long as its cells", () => {
+  const p = Puzzle.fromJSON({
+    version: 2,
+    dims: { nx: 2, ny: 2, nz: 1 },
+    blocks: [],
+    words: [{ id: 1, dir: "R", start: { x: 0, y: 0, z: 0 }, answer: "ABC" }],
+  });
+  assert.equal(p.clues.R[0].len, 2);
+  assert.equal(p.clues.R[0].answer, "AB");
+});
@@ -11,23 +11,59 @@
  *    - Mouse wheel changes depth (XY: Z, XZ: Y, YZ: X)
  *    - Click grid to select
  *    - Type letters into cells (optional, solution stored separately)
- * - Clues displayed UNDER the grid in 3 columns, filtered to the ones whose start-number cell is visible
+ *    - Active word (R/D/I through cursor) is highlighted, typing auto-advances along it,
+ *      BACKSPACE steps back, SPACE cycles the direction (I switches to XZ/YZ)
+ * - "Vaade: 3 tasandit" shows XY, XZ and YZ through the cursor at once (crosshairs mark the
+ *   other two planes; click/scroll/type in any pane)
+ * - "Vaade: ülevaade" replaces the clue area with thumbnails of every slice along one axis
+ *   (blocks, numbers, fill progress); clicking one opens that slice in the grid
+ * - "Vaade: 3D" swaps the slice grid for a WEBGL voxel view: drag = orbit, wheel = zoom,
+ *   click a voxel = move the cursor there
+ * - Clues displayed UNDER the grid in 3 columns, filtered to the ones whose start-number cell is visible,
+ *   or all clues grouped by slice ("Vihjed: kõik"); mouse wheel over a column scrolls it, filled clues get ✓
  * - Clicking a clue jumps to its start cell and switches view appropriately
- * - Button + 'J' downloads the currently loaded puzzle JSON
+ * - Crossing inspector (status panel): the R / D / I words through the cursor cell with clue, fill
+ *   pattern and the cell's place in each word; clicking one jumps to it
+ * - Keyboard clue navigation: ENTER / SHIFT+ENTER next / previous clue in the active direction,
+ *   CTRL+ENTER next unfilled clue anywhere, digits + ENTER jumps to a clue number
+ * - Button + 'J' downloads the currently loaded puzzle JSON; extra buttons convert it
+ *   to words[] (version 2) or legacy solution[] + clues{} (version 1) on the way out
+ * - "Prindi SVG" / "Prindi HTML" export every slice along an axis as an empty numbered grid plus
+ *   the PAREMALE / ALLA / SISSE clue lists ("Vastustega" = answer key)
+ * - Solver mode hides answers (clues show the current fill pattern), setter mode shows them
+ * - Check / reveal buttons compare typed letters against the solution (letter, word, slice, cube)
+ * - Generator fills slots with dictionary words (WORDLIST_ADDRESS or "Laadi sõnastik"), emitting words[];
+ *   a seed ("Seeme", stored in the JSON) makes it reproducible, blocks may be mirror / point symmetric
+ * - Editor mode: "." toggles blocks, "," takes a cell out of the shape (or back), letters write the
+ *   solution, slots are detected live, clue text is typed into the "Vihje" field and the download exports words[] JSON
+ * - Shaped puzzles: a "mask" in the JSON leaves cells outside the volume (drawn as empty space, not blocks);
+ *   the generator's "Kuju" select makes a pyramid, a sphere or the loaded puzzle's shape
+ * - Loader validates the puzzle and lists problems under the controls; strict mode refuses invalid puzzles
+ * - "Ava ristsõna", dropping a .json onto the canvas or "?puzzle=relative/path.json" loads a puzzle;
+ *   every load resets the view, cursor and tallies
+ * - Solve timer (top of the status panel), finished-word count and a completion screen with time,
+ *   checks/reveals and score; ESC or "Paus" pauses the timer and hides the grid
+ * - Puzzle JSON may declare "alphabet" and "locale"; input is upper-cased with the locale and checked
+ *   against the alphabet (dead keys and IME compositions included), the loader reports foreign letters
+ * - UI text comes from UI_STRINGS, merged into the engine's STRINGS (eesti / English, "Keel" select,
+ *   remembered in localStorage);
+ *   a puzzle may name its directions with "dirLabels" ({ R, D, I } or one such object per language)
+ * - Undo / redo (CTRL+Z, CTRL+Y or CTRL+SHIFT+Z) for letters, deletions, reveals (a whole reveal is
+ *   one step) and editor block / solution edits
+ * - Progress is autosaved to localStorage per puzzle (hash of the JSON) and can be exported/imported
+ * - Puzzle logic (loading, slots, validation, generation, word fill) is the Puzzle engine in engine.js;
+ *   this file keeps the drawing and input, with world / NX / clues mirroring the active Puzzle
  *
- * Put this as sketch.js in p5 editor.
+ * Put this as sketch.js in p5 editor, with engine.js next to it (index.html loads it first).
  * If loading a JSON file, place it next to sketch and set JSON_ADDRESS.
  */
 
 // ---------------- CONFIG ----------------
 const CFG = {
-  // Used only for generation fallback (if no JSON is loaded)
+  // Used only for generation fallback (if no JSON is loaded); the other generator settings are engine.js GEN_DEFAULTS
   GEN_NX: 24,
   GEN_NY: 24,
   GEN_NZ: 8,
-  targetBlockFrac: 0.18,
-  minOpenPerSlice: 12,
-  maxTries: 30000,
 
   // Viewport
   VIEW_W: 10,
@@ -36,70 +72,448 @@ const CFG = {
   MARGIN: 16,
   PANEL_W: 440,     // right status area width
   CLUE_AREA_H: 500, // bottom clue area height
+  ORTHO_CELLS: 6,   // cells per pane side in the three-pane layout
+
+  // Score on completion: cells * SCORE_CELL + time bonus - penalties
+  SCORE_CELL: 10,           // per open cell
+  SCORE_PAR_S_PER_CELL: 20, // par time; every second under par is one bonus point
+  SCORE_CHECK: 5,           // per check action
+  SCORE_REVEAL: 50,         // per reveal action
 };
 
 // Choose one source:
 // 1) Embedded JSON (paste full puzzle object) -> set USE_EMBEDDED_JSON true
 // 2) JSON file (loadJSON) -> set USE_EMBEDDED_JSON false and set JSON_ADDRESS
 // 3) If file missing/unavailable, it will auto-generate.
+// A "?puzzle=path/to/file.json" query parameter (relative path) overrides both; at runtime
+// "Ava ristsõna" or dropping a .json file onto the canvas loads another puzzle.
 const USE_EMBEDDED_JSON = false;
 const EMBEDDED_JSON = null; // paste puzzle object here if wanted
 const JSON_ADDRESS = "cross3d-4(12).json";
 
+// Word list for the generator: one word per line, optional clue after TAB or ';'
+const WORDLIST_ADDRESS = "wordlist.txt";
+
+// ---------------- LANGUAGE ----------------
+// STRINGS, lang and tr() live in engine.js; the sketch adds its UI text to them
+// and remembers the choice per browser
+const UI_STRINGS = {
+  et: {
+    "lang.name": "Keel: eesti",
+    "mode.solve": "lahendaja", "mode.setter": "koostaja", "mode.edit": "toimetaja",
+    "scope.letter": "täht", "scope.word": "sõna", "scope.slice": "kiht", "scope.cube": "kuup",
+
+    "btn.download": "Laadi JSON alla",
+    "btn.saveWords": "Salvesta words[] formaadis",
+    "btn.saveLegacy": "Salvesta legacy formaadis",
+    "btn.check": "Kontrolli",
+    "btn.reveal": "Näita",
+    "btn.undo": "Võta tagasi",
+    "btn.redo": "Tee uuesti",
+    "btn.open": "Ava ristsõna",
+    "btn.printSvg": "Prindi SVG",
+    "btn.printHtml": "Prindi HTML",
+    "btn.pause": "Paus",
+    "btn.resume": "Jätka",
+    "btn.exportProgress": "Ekspordi edenemine",
+    "btn.importProgress": "Impordi edenemine",
+    "btn.loadDict": "Laadi sõnastik",
+    "gen.seed": "Seeme (tühi = juhuslik)",
+    "sym.none": "Sümmeetria: puudub", "sym.x": "Sümmeetria: peegel X", "sym.y": "Sümmeetria: peegel Y",
+    "sym.z": "Sümmeetria: peegel Z", "sym.xy": "Sümmeetria: peegel X + Y", "sym.point": "Sümmeetria: punkt (180°)",
+    "shape.box": "Kuju: risttahukas", "shape.pyramid": "Kuju: püramiid", "shape.sphere": "Kuju: kera",
+    "shape.current": "Kuju: praeguse ristsõna oma",
+    "btn.generate": "Genereeri",
+    "btn.newEmpty": "Uus tühi",
+    "sel.mode": "Režiim: {label}",
+    "layout.slice": "Vaade: kiht",
+    "layout.ortho": "Vaade: 3 tasandit",
+    "layout.overview": "Vaade: ülevaade",
+    "layout.3d": "Vaade: 3D",
+    "filter.visible": "Vihjed: nähtavad",
+    "filter.all": "Vihjed: kõik",
+    "overview.XY": "Ülevaade: Z kihid", "overview.XZ": "Ülevaade: Y kihid", "overview.YZ": "Ülevaade: X kihid",
+    "print.XY": "Prindi: Z kihid", "print.XZ": "Prindi: Y kihid", "print.YZ": "Prindi: X kihid",
+    "print.answers": "Vastustega",
+    "clueInput": "Vihje (toimetaja)",
+    "strict": "Range laadimine",
+    "prompt.dims": "Mõõtmed nx,ny,nz",
+
+    "report.ok": "Ristsõna korras: probleeme ei leitud.",
+    "report.summary": "Kontroll: {errors} viga, {warnings} hoiatust",
+    "drop.hint": "Lase lahti, et avada ristsõna (.json)",
+    "pause.title": "Paus",
+    "pause.hint": "ESC või \"Jätka\" jätkab",
+    "done.title": "Ristsõna lahendatud!",
+    "done.time": "Aeg: {time}",
+    "done.score": "Punktid: {score}",
+    "done.close": "Klõps või ESC sulgeb",
+    "tally": "Kontrolle: {checks} | Näidatud: {reveals}",
+    "print.title": "3D ristsõna {nx}×{ny}×{nz}",
+    "print.key": " — vastused",
+    "print.fileKey": "vastused",
+
+    "status.view": "Vaade: {view} | {mode}",
+    "status.cursor": "Kursor: x={x} y={y} z={z}",
+    "status.xy": "Ratas: Z={z} | TAB: {tab}",
+    "status.tabXZ": "XZ (ratas=Y)",
+    "status.tabYZ": "YZ (ratas=X)",
+    "status.xz": "XZ | sügavus Y={d} | TAB tagasi",
+    "status.yz": "YZ | sügavus X={d} | TAB tagasi",
+    "status.dir": "Suund: {dir} (SPACE vahetab)",
+    "status.download": "J: laadi JSON alla",
+    "status.editor": "Toimetaja: \".\" blokk, \",\" kuju, tähed = lahendus, slotte {n}",
+    "status.nav": "ENTER / SHIFT+ENTER: järgmine / eelmine vihje, ESC: paus",
+    "status.nav2": "CTRL+ENTER: järgmine täitmata, number + ENTER: vihje numbriga",
+    "status.numBuf": "Vihje nr: {n}_ (ENTER hüppab, ESC tühistab)",
+    "status.bad": "Vigased lahtrid: {n}",
+    "status.lastCheck": "Viimane kontroll ({scope}): {n} viga",
+    "status.words": "Valmis sõnu: {done}/{total}",
+    "status.solved": " | Lahendatud, punktid: {score}",
+    "status.seed": "Seeme: {seed}{symmetry}",
+    "arrow.last": "Viimane XY",
+    "cross.title": "Kursorit läbivad sõnad",
+    "cross.none": "Lahter ei kuulu ühtegi sõnasse",
+    "ortho.hint": "klikk/ratas/klahvid\nfokusseeritud paanis",
+    "overview.title": "Ülevaade: kõik {axis} kihid ({plane}) — klikk avab kihi",
+    "clues.all": "Kõik vihjed, rühmitatud kihi järgi ({axis}), ratas kerib veergu:",
+    "clues.visible": "Nähtavad vihjed (start-numbrid, mis on praegu ruudustikus):",
+  },
+  en: {
+    "lang.name": "Language: English",
+    "mode.solve": "solver", "mode.setter": "setter", "mode.edit": "editor",
+    "scope.letter": "letter", "scope.word": "word", "scope.slice": "slice", "scope.cube": "cube",
+
+    "btn.download": "Download JSON",
+    "btn.saveWords": "Save as words[] format",
+    "btn.saveLegacy": "Save as legacy format",
+    "btn.check": "Check",
+    "btn.reveal": "Reveal",
+    "btn.undo": "Undo",
+    "btn.redo": "Redo",
+    "btn.open": "Open puzzle",
+    "btn.printSvg": "Print SVG",
+    "btn.printHtml": "Print HTML",
+    "btn.pause": "Pause",
+    "btn.resume": "Resume",
+    "btn.exportProgress": "Export progress",
+    "btn.importProgress": "Import progress",
+    "btn.loadDict": "Load word list",
+    "gen.seed": "Seed (empty = random)",
+    "sym.none": "Symmetry: none", "sym.x": "Symmetry: mirror X", "sym.y": "Symmetry: mirror Y",
+    "sym.z": "Symmetry: mirror Z", "sym.xy": "Symmetry: mirror X + Y", "sym.point": "Symmetry: point (180°)",
+    "shape.box": "Shape: box", "shape.pyramid": "Shape: pyramid", "shape.sphere": "Shape: sphere",
+    "shape.current": "Shape: current puzzle's",
+    "btn.generate": "Generate",
+    "btn.newEmpty": "New empty",
+    "sel.mode": "Mode: {label}",
+    "layout.slice": "View: slice",
+    "layout.ortho": "View: 3 planes",
+    "layout.overview": "View: overview",
+    "layout.3d": "View: 3D",
+    "filter.visible": "Clues: visible",
+    "filter.all": "Clues: all",
+    "overview.XY": "Overview: Z slices", "overview.XZ": "Overview: Y slices", "overview.YZ": "Overview: X slices",
+    "print.XY": "Print: Z slices", "print.XZ": "Print: Y slices", "print.YZ": "Print: X slices",
+    "print.answers": "With answers",
+    "clueInput": "Clue (editor)",
+    "strict": "Strict loading",
+    "prompt.dims": "Dimensions nx,ny,nz",
+
+    "report.ok": "Puzzle OK: no problems found.",
+    "report.summary": "Check: {errors} errors, {warnings} warnings",
+    "drop.hint": "Drop to open a puzzle (.json)",
+    "pause.title": "Paused",
+    "pause.hint": "ESC or \"Resume\" continues",
+    "done.title": "Puzzle solved!",
+    "done.time": "Time: {time}",
+    "done.score": "Score: {score}",
+    "done.close": "Click or ESC to close",
+    "tally": "Checks: {checks} | Reveals: {reveals}",
+    "print.title": "3D crossword {nx}×{ny}×{nz}",
+    "print.key": " — answer key",
+    "print.fileKey": "answers",
+
+    "status.view": "View: {view} | {mode}",
+    "status.cursor": "Cursor: x={x} y={y} z={z}",
+    "status.xy": "Scroll: Z={z} | TAB: {tab}",
+    "status.tabXZ": "XZ (scroll=Y)",
+    "status.tabYZ": "YZ (scroll=X)",
+    "status.xz": "XZ | depth Y={d} | TAB back",
+    "status.yz": "YZ | depth X={d} | TAB back",
+    "status.dir": "Direction: {dir} (SPACE cycles)",
+    "status.download": "J: download JSON",
+    "status.editor": "Editor: \".\" block, \",\" shape, letters = solution, {n} slots",
+    "status.nav": "ENTER / SHIFT+ENTER: next / previous clue, ESC: pause",
+    "status.nav2": "CTRL+ENTER: next unfilled, number + ENTER: clue by number",
+    "status.numBuf": "Clue no.: {n}_ (ENTER jumps, ESC cancels)",
+    "status.bad": "Wrong cells: {n}",
+    "status.lastCheck": "Last check ({scope}): {n} wrong",
+    "status.words": "Words done: {done}/{total}",
+    "status.solved": " | Solved, score: {score}",
+    "status.seed": "Seed: {seed}{symmetry}",
+    "arrow.last": "Last XY",
+    "cross.title": "Words through the cursor",
+    "cross.none": "This cell is in no word",
+    "ortho.hint": "click/wheel/keys\nact on the focused pane",
+    "overview.title": "Overview: all {axis} slices ({plane}) — click opens a slice",
+    "clues.all": "All clues grouped by slice ({axis}), wheel scrolls a column:",
+    "clues.visible": "Visible clues (start numbers currently in the grid):",
+  },
+};
+for (const id of Object.keys(UI_STRINGS)) Object.assign(STRINGS[id], UI_STRINGS[id]);
+
+const LANG_KEY = "rists3d:lang";
+
+function setLang(id) {
+  if (id === lang || !useLang(id)) return;
+  try {
+    localStorage.setItem(LANG_KEY, id);
+  } catch (e) {
+    // private mode: language just is not remembered
+  }
+  relabelDefaultHints();
+  if (controlBar) rebuildControls();
+}
+
+function savedLang() {
+  try {
+    const id = localStorage.getItem(LANG_KEY);
+    if (STRINGS[id]) return id;
+  } catch (e) {
+    // no storage
+  }
+  return "et";
+}
+
+// Direction name in the current language, the loaded puzzle's dirLabels first
+function dirName(dir) {
+  return directionName(dir, puzzleDirLabels);
+}
+
+// Column titles (PAREMALE / ALLA / SISSE)
+function dirLabel(dir) {
+  return dirName(dir).toLocaleUpperCase(puzzleLocale);
+}
+
+// Clue text used when a slot has none
+function defaultHint(dir) {
+  return dirName(dir);
+}
+
+// True for any language's default hint, so language switches and the editor can tell them from real clues
+function isDefaultHint(dir, hint) {
+  return hint === defaultHint(dir) || isDirectionName(dir, hint, puzzleDirLabels);
+}
+
+function relabelDefaultHints() {
+  for (const dir of DIRS) {
+    for (const c of clues[dir]) if (!c.hint || isDefaultHint(dir, c.hint)) c.hint = defaultHint(dir);
+  }
+}
+
 // ---------------- STATE ----------------
 let puzzleJSON = null;   // loaded JSON data
 let puzzle = null;       // active puzzle object (the one we render/download)
+let puzzleSource = JSON_ADDRESS; // where puzzleJSON came from (for load error reports)
+let puzzleLoadFailed = false;    // preload could not fetch puzzleSource
+let dropHover = false;           // a file is dragged over the canvas
+let wordList = [];       // raw word list lines (generator)
+let dictIndex = null;    // buildDictIndex(wordList, ...)
 
+let game = null;         // active Puzzle (engine.js); usePuzzle() mirrors it into the globals below
 let NX = 0, NY = 0, NZ = 0; // dimensions from loaded puzzle
+let alphabet = DEFAULT_ALPHABET;     // upper-case letters of the loaded puzzle, one char each
+let puzzleLocale = DEFAULT_LOCALE;   // locale for toLocaleUpperCase (e.g. "tr": i -> İ)
+let puzzleDirLabels = null;          // js.dirLabels of the loaded puzzle
+let imeSink = null;                  // transparent input that receives IME compositions
 
-// world[z][y][x] = { block, ch, sol, numR, numD, numI }
+// world[z][y][x] = { block, ch, sol, numR, numD, numI, bad, revealed }
 let world = [];
 let clues = { R: [], D: [], I: [] };
 let clueHitboxes = []; // canvas-coordinate hitboxes for bottom clues
+let clueFilter = "visible";            // visible (start cell on screen) | all (grouped by slice)
+let clueScroll = { R: 0, D: 0, I: 0 }; // first row shown per column
+let clueColumns = [];                  // canvas rects of the columns, for wheel scrolling
+let clueAutoKey = "";                  // active clue last scrolled into view
+let crossingHitboxes = [];             // canvas-coordinate hitboxes of the crossing inspector rows
 
 // View controls
-let view = "XY"; // XY | XZ | YZ
+let layout = "slice"; // slice (drawGrid) | ortho (drawOrthoPanes) | 3d (drawCube3D)
+let view = "XY"; // XY | XZ | YZ (in ortho: the focused pane)
 let cur = { x: 0, y: 0, z: 0 };
 let cam = { u: 0, v: 0 };
+let orthoCams = { XY: { u: 0, v: 0 }, XZ: { u: 0, v: 0 }, YZ: { u: 0, v: 0 } }; // unfocused ortho panes
+let overviewPlane = "XY";  // overview thumbnails: XY = every Z slice, XZ = every Y, YZ = every X
+let overviewHitboxes = [];
 let depthX = 0, depthY = 0;
 
 // Last XY movement chooses TAB plane
 let lastAxis = "x";          // "x" | "y"
 let lastDir = { dx: 1, dy: 0 };
 
+// Active word direction through the cursor: "R" | "D" | "I"
+let activeDir = "R";
+let clueNumberBuf = ""; // digits typed for "jump to clue number" (ENTER jumps)
+
+// 3D view: offscreen WEBGL buffer drawn into the grid area
+let g3d = null;
+let orbit = { rotX: -0.5, rotY: 0.6, zoom: 1 };
+let orbitPress = null;        // { x, y, moved } while the mouse is down on the 3D view
+const letterTex = new Map();  // "ch|state" -> p5.Graphics texture
+
+// "solve": answers hidden, clues show fill pattern | "setter": answers shown (debug)
+// "edit": puzzle editor (blocks + solution letters + clue texts)
+let mode = "solve";
+const MODES = ["solve", "setter", "edit"]; // labels: tr("mode.<id>")
+
+// Editor: clue text per detected slot, keyed by slotKey(dir, start)
+let editorClueText = new Map();
+let editorSlotShown = "";   // slot whose text is in clueInput
+
+// Check / reveal bookkeeping
+let checkCount = 0, revealCount = 0;
+let lastCheck = null; // { scope, wrong }
+
+// Timer / completion
+let solveMs = 0;            // solving time so far (paused, solved and editor time excluded)
+let lastTick = 0;
+let paused = false;
+let pauseBtn = null;
+let solveResult = null;     // { ms, checks, reveals, score } once every cell matches sol
+let showCompletion = false; // completion screen open
+let wordsDone = 0, wordsTotal = 0;
+
+// Progress persistence
+const PROGRESS_PREFIX = "rists3d:progress:";
+const PROGRESS_SAVE_MS = 1000;
+let puzzleKey = "";        // hash of the loaded puzzle JSON
+let progressDirty = false;
+let lastProgressSave = 0;
+let savedSolveMs = 0;      // solveMs in the last save: the running timer alone does not make progress dirty
+
+// Validation
+let strictLoad = false;     // refuse puzzles whose report has errors
+let validationReport = [];  // last validatePuzzleJSON() result
+
+// DOM controls under the canvas
+let controlBar = null;
+let scopeSelect = null;
+let modeSelect = null;
+let clueInput = null;
+let reportPanel = null;
+let checkScope = "word";  // scope of the check / reveal buttons
+let printPlane = "XY";    // print export axis
+let printAnswers = false; // print export as answer key
+let genSeed = "";          // generator seed as typed ("" = random, see seedFrom())
+let genSymmetry = "none";  // generator block symmetry (GEN_SYMMETRIES id)
+let genShape = "box";      // generator shape (GEN_SHAPES id)
+
 // ---------------- LOADING ----------------
 function preload() {
-  if (!USE_EMBEDDED_JSON) {
+  const param = puzzleParam();
+  if (param) puzzleSource = param;
+  if (param || !USE_EMBEDDED_JSON) {
     // If file doesn't exist / fails, p5 will print error in console and puzzleJSON may remain null.
-    puzzleJSON = loadJSON(JSON_ADDRESS, () => {}, () => {});
+    puzzleJSON = loadJSON(puzzleSource, () => {}, () => { puzzleLoadFailed = true; });
   }
+  wordList = loadStrings(WORDLIST_ADDRESS, () => {}, () => {});
 }
 
 function setup() {
-  createCanvas(
+  const cnv = createCanvas(
     CFG.MARGIN * 2 + CFG.VIEW_W * CFG.CELL + CFG.PANEL_W,
     CFG.MARGIN * 2 + CFG.VIEW_H * CFG.CELL + CFG.CLUE_AREA_H
   );
+  cnv.drop(file => { dropHover = false; loadPuzzleFile(file); });
+  cnv.dragOver(() => { dropHover = true; });
+  cnv.dragLeave(() => { dropHover = false; });
 
   textFont("monospace");
   textAlign(CENTER, CENTER);
 
-  // Download button
-  const btn = createButton("Laadi JSON alla");
-  btn.position(10, height + 10);
-  btn.mousePressed(downloadPuzzleJSON);
+  useLang(savedLang());
+  createControls();
+  createImeSink();
+  focusImeSink();
+  window.addEventListener("pagehide", flushProgress);
+
+  if (wordList && wordList.length) dictIndex = buildDictIndex(wordList, alphabet, puzzleLocale);
 
-  // Decide source and load
-  if (USE_EMBEDDED_JSON && EMBEDDED_JSON) {
-    loadPuzzleFromJSON(EMBEDDED_JSON);
+  // Decide source and load (generate if the source is missing or refused)
+  let loaded = false;
+  if (USE_EMBEDDED_JSON && EMBEDDED_JSON && !puzzleParam()) {
+    loaded = openPuzzle(EMBEDDED_JSON);
   } else if (puzzleJSON && (puzzleJSON.dims || puzzleJSON.nx)) {
-    loadPuzzleFromJSON(puzzleJSON);
-  } else {
-    generatePuzzleJSON();
-    loadPuzzleFromJSON(puzzle);
+    loaded = openPuzzle(puzzleJSON);
+  }
+  if (!loaded) {
+    let report = validationReport;
+    if (puzzleLoadFailed) {
+      report = [{ level: "error", code: "LOAD_FAILED", message: tr("p.LOAD_FAILED", { file: puzzleSource }) }].concat(report);
+    }
+    generateAndLoad();
+    if (report.length) showValidationReport(report.concat(validationReport));
+  }
+}
+
+// "?puzzle=" query parameter; only relative paths next to the sketch are accepted
+function puzzleParam() {
+  const p = new URLSearchParams(window.location.search).get("puzzle");
+  if (!p) return null;
+  if (/^[a-z][a-z0-9+.-]*:/i.test(p) || p.startsWith("/") || p.startsWith("\\")) {
+    console.error("PUZZLE PARAM MUST BE A RELATIVE PATH", p);
+    return null;
+  }
+  return p;
+}
+
+// Loads js as the active puzzle and starts it fresh: view, cursor, tallies, timer, saved progress.
+// false if the loader refused it (the current puzzle stays).
+function openPuzzle(js) {
+  if (!loadPuzzleFromJSON(js)) return false;
+  resetSessionState();
+  restoreProgress();
+  updateCompletion();
+  pickFirstOpenCell();
+  if (mode === "edit") enterEditor();
+  return true;
+}
+
+function resetSessionState() {
+  view = "XY";
+  cur = { x: 0, y: 0, z: 0 };
+  cam = { u: 0, v: 0 };
+  orthoCams = { XY: { u: 0, v: 0 }, XZ: { u: 0, v: 0 }, YZ: { u: 0, v: 0 } };
+  depthX = 0; depthY = 0;
+  lastAxis = "x";
+  lastDir = { dx: 1, dy: 0 };
+  activeDir = "R";
+  clueScroll = { R: 0, D: 0, I: 0 };
+  clueAutoKey = "";
+  clueNumberBuf = "";
+  checkCount = 0; revealCount = 0;
+  lastCheck = null;
+  clearHistory();
+  solveMs = 0;
+  lastTick = millis();
+  solveResult = null;
+  showCompletion = false;
+  setPaused(false);
+}
+
+// p5.File from the file picker or a drop onto the canvas
+function loadPuzzleFile(file) {
+  const js = file.name && !/\.json$/i.test(file.name) ? null : fileToJSON(file);
+  if (!js || typeof js !== "object") {
+    showValidationReport([{ level: "error", code: "BAD_FILE", message: tr("p.BAD_FILE", { file: file.name ?? "?" }) }]);
+    return;
   }
+  puzzleSource = file.name ?? puzzleSource;
+  openPuzzle(js);
+}
 
-  // Pick first open cell
+function pickFirstOpenCell() {
   outer:
   for (let z = 0; z < NZ; z++) {
     for (let y = 0; y < NY; y++) {
@@ -115,609 +529,1455 @@ function setup() {
   depthY = cur.y;
 }
 
-function draw() {
-  background(18);
-  ensureCursorVisible();
-  drawGrid();
-  drawRightStatus();
-  drawBottomClues();
+// ---------------- DOM CONTROLS ----------------
+function createControls() {
+  controlBar = createDiv();
+  controlBar.position(10, height + 10);
+
+  const langSelect = createSelect();
+  langSelect.parent(controlBar);
+  for (const id of Object.keys(STRINGS)) langSelect.option(STRINGS[id]["lang.name"], id);
+  langSelect.selected(lang);
+  langSelect.changed(() => setLang(langSelect.value()));
+
+  const btn = createButton(tr("btn.download"));
+  btn.parent(controlBar);
+  btn.mousePressed(() => downloadPuzzleJSON());
+
+  const wordsBtn = createButton(tr("btn.saveWords"));
+  wordsBtn.parent(controlBar);
+  wordsBtn.mousePressed(() => downloadPuzzleJSON("words"));
+
+  const legacyBtn = createButton(tr("btn.saveLegacy"));
+  legacyBtn.parent(controlBar);
+  legacyBtn.mousePressed(() => downloadPuzzleJSON("legacy"));
+
+  scopeSelect = createSelect();
+  scopeSelect.parent(controlBar);
+  for (const id of CHECK_SCOPES) scopeSelect.option(tr(`scope.${id}`), id);
+  scopeSelect.selected(checkScope);
+  scopeSelect.changed(() => { checkScope = scopeSelect.value(); });
+
+  const checkBtn = createButton(tr("btn.check"));
+  checkBtn.parent(controlBar);
+  checkBtn.mousePressed(() => checkCells(checkScope));
+
+  const revealBtn = createButton(tr("btn.reveal"));
+  revealBtn.parent(controlBar);
+  revealBtn.mousePressed(() => revealCells(checkScope));
+
+  const undoBtn = createButton(tr("btn.undo"));
+  undoBtn.parent(controlBar);
+  undoBtn.mousePressed(undo);
+
+  const redoBtn = createButton(tr("btn.redo"));
+  redoBtn.parent(controlBar);
+  redoBtn.mousePressed(redo);
+
+  modeSelect = createSelect();
+  modeSelect.parent(controlBar);
+  for (const id of MODES) modeSelect.option(tr("sel.mode", { label: tr(`mode.${id}`) }), id);
+  modeSelect.selected(mode);
+  modeSelect.changed(() => setMode(modeSelect.value()));
+
+  const layoutSelect = createSelect();
+  layoutSelect.parent(controlBar);
+  for (const id of ["slice", "ortho", "overview", "3d"]) layoutSelect.option(tr(`layout.${id}`), id);
+  layoutSelect.selected(layout);
+  layoutSelect.changed(() => { layout = layoutSelect.value(); });
+
+  const clueFilterSelect = createSelect();
+  clueFilterSelect.parent(controlBar);
+  clueFilterSelect.option(tr("filter.visible"), "visible");
+  clueFilterSelect.option(tr("filter.all"), "all");
+  clueFilterSelect.selected(clueFilter);
+  clueFilterSelect.changed(() => {
+    clueFilter = clueFilterSelect.value();
+    clueScroll = { R: 0, D: 0, I: 0 };
+    clueAutoKey = "";
+  });
+
+  const overviewSelect = createSelect();
+  overviewSelect.parent(controlBar);
+  for (const plane of ["XY", "XZ", "YZ"]) overviewSelect.option(tr(`overview.${plane}`), plane);
+  overviewSelect.selected(overviewPlane);
+  overviewSelect.changed(() => { overviewPlane = overviewSelect.value(); });
+
+  const puzzleInput = createFileInput(loadPuzzleFile);
+  puzzleInput.parent(controlBar);
+  puzzleInput.hide();
+  const openBtn = createButton(tr("btn.open"));
+  openBtn.parent(controlBar);
+  openBtn.mousePressed(() => puzzleInput.elt.click());
+
+  const printSelect = createSelect();
+  printSelect.parent(controlBar);
+  for (const plane of ["XY", "XZ", "YZ"]) printSelect.option(tr(`print.${plane}`), plane);
+  printSelect.selected(printPlane);
+  printSelect.changed(() => { printPlane = printSelect.value(); });
+  const printBox = createCheckbox(tr("print.answers"), printAnswers);
+  printBox.parent(controlBar);
+  printBox.style("display", "inline-block");
+  printBox.changed(() => { printAnswers = printBox.checked(); });
+  const svgBtn = createButton(tr("btn.printSvg"));
+  svgBtn.parent(controlBar);
+  svgBtn.mousePressed(() => downloadPrint("svg", printPlane, printAnswers));
+  const htmlBtn = createButton(tr("btn.printHtml"));
+  htmlBtn.parent(controlBar);
+  htmlBtn.mousePressed(() => downloadPrint("html", printPlane, printAnswers));
+
+  pauseBtn = createButton(tr(paused ? "btn.resume" : "btn.pause"));
+  pauseBtn.parent(controlBar);
+  pauseBtn.mousePressed(() => setPaused(!paused));
+
+  const exportBtn = createButton(tr("btn.exportProgress"));
+  exportBtn.parent(controlBar);
+  exportBtn.mousePressed(exportProgress);
+
+  const importInput = createFileInput(importProgress);
+  importInput.parent(controlBar);
+  importInput.hide();
+  const importBtn = createButton(tr("btn.importProgress"));
+  importBtn.parent(controlBar);
+  importBtn.mousePressed(() => importInput.elt.click());
+
+  const dictInput = createFileInput(loadWordListFile);
+  dictInput.parent(controlBar);
+  dictInput.hide();
+  const dictBtn = createButton(tr("btn.loadDict"));
+  dictBtn.parent(controlBar);
+  dictBtn.mousePressed(() => dictInput.elt.click());
+
+  const seedInput = createInput(genSeed);
+  seedInput.parent(controlBar);
+  seedInput.attribute("placeholder", tr("gen.seed"));
+  seedInput.input(() => { genSeed = seedInput.value(); });
+  const symSelect = createSelect();
+  symSelect.parent(controlBar);
+  for (const id of Object.keys(GEN_SYMMETRIES)) symSelect.option(tr(`sym.${id}`), id);
+  symSelect.selected(genSymmetry);
+  symSelect.changed(() => { genSymmetry = symSelect.value(); });
+  const shapeSelect = createSelect();
+  shapeSelect.parent(controlBar);
+  for (const id of GEN_SHAPES) shapeSelect.option(tr(`shape.${id}`), id);
+  shapeSelect.selected(genShape);
+  shapeSelect.changed(() => { genShape = shapeSelect.value(); });
+  const genBtn = createButton(tr("btn.generate"));
+  genBtn.parent(controlBar);
+  genBtn.mousePressed(generateAndLoad);
+
+  const newBtn = createButton(tr("btn.newEmpty"));
+  newBtn.parent(controlBar);
+  newBtn.mousePressed(newEmptyPuzzle);
+
+  clueInput = createInput("");
+  clueInput.parent(controlBar);
+  clueInput.attribute("placeholder", tr("clueInput"));
+  clueInput.input(() => setEditorClueText(clueInput.value()));
+
+  const strictBox = createCheckbox(tr("strict"), strictLoad);
+  strictBox.parent(controlBar);
+  strictBox.style("display", "inline-block");
+  strictBox.changed(() => { strictLoad = strictBox.checked(); });
+
+  reportPanel = createDiv();
+  reportPanel.parent(controlBar);
+  reportPanel.style("font", "12px monospace");
+  reportPanel.style("margin-top", "6px");
 }
 
-// ---------------- DOWNLOAD ----------------
-function downloadPuzzleJSON() {
-  if (!puzzle) return;
-  const d = puzzle.dims ?? { nx: NX, ny: NY, nz: NZ };
-  saveJSON(puzzle, 'crossword3d_${d.nx}x${d.ny}x${d.nz}.json');
+// Language switch: controls are recreated with the new labels, state lives in globals
+function rebuildControls() {
+  controlBar.remove();
+  createControls();
+  editorSlotShown = "";
+  showValidationReport(validationReport);
 }
 
-// ---------------- JSON API ----------------
-function loadPuzzleFromJSON(js) {
-  const dims = js.dims ?? { nx: js.nx, ny: js.ny, nz: js.nz };
-  NX = dims.nx; NY = dims.ny; NZ = dims.nz;
+function showValidationReport(report) {
+  if (!reportPanel) return;
+  if (!report.length) {
+    reportPanel.html(tr("report.ok"));
+    return;
+  }
+  const errors = report.filter(p => p.level === "error").length;
+  const rows = report.map(p =>
+    `<li style="color:${p.level === "error" ? "#c0392b" : "#b7950b"}">` +
+    `[${p.code}] ${escapeHtml(p.message)}</li>`);
+  reportPanel.html(
+    tr("report.summary", { errors, warnings: report.length - errors }) +
+    `<ul style="margin:4px 0;padding-left:18px">${rows.join("")}</ul>`);
+}
 
-  // Build empty world
-  world = new Array(NZ);
-  for (let z = 0; z < NZ; z++) {
-    world[z] = new Array(NY);
-    for (let y = 0; y < NY; y++) {
-      world[z][y] = new Array(NX);
-      for (let x = 0; x < NX; x++) {
-        world[z][y][x] = { block: false, ch: "", sol: "", numR: 0, numD: 0, numI: 0 };
-      }
-    }
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, ch => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[ch]));
+}
+
+function loadWordListFile(file) {
+  if (typeof file.data !== "string") return;
+  wordList = file.data.split(/\r?\n/);
+  dictIndex = buildDictIndex(wordList, alphabet, puzzleLocale);
+}
+
+function generateAndLoad() {
+  const problems = generatePuzzleJSON();
+  openPuzzle(puzzle);
+  // e.g. WORD_FILL_FAILED: the grid has pseudo letters, shown under the loader's own report
+  if (problems.length) {
+    validationReport = validationReport.concat(problems);
+    showValidationReport(validationReport);
   }
+}
 
-  // Blocks
-  for (const b of (js.blocks ?? [])) {
-    if (inBounds(b.x, b.y, b.z)) world[b.z][b.y][b.x].block = true;
+function draw() {
+  background(18);
+  tickTimer();
+  if (paused) {
+    drawPauseScreen();
+    drawRightStatus();
+    syncClueInput();
+    autosaveProgress();
+    return;
   }
+  if (layout === "3d") { ensureCursorVisible(); drawCube3D(); }
+  else if (layout === "ortho") drawOrthoPanes();
+  else drawGrid();
+  drawRightStatus();
+  if (layout === "overview") drawOverview();
+  else drawBottomClues();
+  if (showCompletion) drawCompletionScreen();
+  if (dropHover) drawDropHint();
+  syncClueInput();
+  autosaveProgress();
+}
 
-  // Reset clues always
-  clues = { R: [], D: [], I: [] };
-  clearNumbers();
+function drawDropHint() {
+  push();
+  fill(0, 0, 0, 170);
+  stroke(120, 200, 255);
+  strokeWeight(3);
+  rect(4, 4, width - 8, height - 8, 8);
+  noStroke();
+  fill(230);
+  textSize(22);
+  textAlign(CENTER, CENTER);
+  text(tr("drop.hint"), width / 2, height / 2);
+  pop();
+}
 
-  // -------------------------
-  // FORMAT A (NEW): words[]
-  // -------------------------
-  if (Array.isArray(js.words) && js.words.length > 0) {
-    // 1) Write solution letters from words into world.sol (and detect conflicts)
-    for (const w of js.words) {
-      const dir = w.dir; // "R"|"D"|"I"
-      const dx = dir === "R" ? 1 : 0;
-      const dy = dir === "D" ? 1 : 0;
-      const dz = dir === "I" ? 1 : 0;
+// ---------------- DOWNLOAD ----------------
+// format: undefined = as loaded, "words" | "legacy" = convert first
+function downloadPuzzleJSON(format) {
+  let problems = [];
+  if (mode === "edit") {
+    const res = editorToJSON();
+    problems = validatePuzzleJSON(res.puzzle).concat(res.problems);
+    puzzle = res.puzzle;
+  }
+  if (!puzzle) return;
 
-      let x = w.start.x, y = w.start.y, z = w.start.z;
-      const ans = (w.answer ?? "").toUpperCase();
+  let out = puzzle;
+  if (format === "words" || format === "legacy") {
+    const res = format === "words" ? convertToWordsFormat(puzzle) : convertToLegacyFormat(puzzle);
+    out = res.puzzle;
+    problems = problems.concat(res.problems);
+  }
+  if (mode === "edit" || problems.length) showValidationReport(problems);
 
-      for (let i = 0; i < ans.length; i++) {
-        if (!inBounds(x, y, z)) {
-          console.error("WORD OUT OF BOUNDS", w, { x, y, z });
-          break;
-        }
-        const ce = world[z][y][x];
-        if (ce.block) {
-          console.error("WORD HITS BLOCK", w, { x, y, z });
-          break;
-        }
+  const d = out.dims ?? { nx: NX, ny: NY, nz: NZ };
+  const suffix = format ? `_${format}` : "";
+  saveJSON(out, `crossword3d_${d.nx}x${d.ny}x${d.nz}${suffix}.json`);
+}
 
-        const ch = ans[i];
-        if (ce.sol && ce.sol !== ch) {
-          console.error("CROSSING CONFLICT", w, { x, y, z, had: ce.sol, wants: ch });
-        }
-        ce.sol = ch;
+// ---------------- PRINT EXPORT ----------------
+// Every slice along printPlane's axis as an empty numbered grid plus the three clue lists,
+// as one SVG sheet or a print-friendly HTML page. answers = answer key (letters + answers).
+const PRINT = { PAGE_W: 760, CELL: 26, GAP: 18, CLUE_LINE: 15, CLUE_CHARS: 34 };
 
-        x += dx; y += dy; z += dz;
+function printCellPx(plane) {
+  const { Umax } = planeBounds(plane);
+  return Math.max(10, Math.min(PRINT.CELL, Math.floor(PRINT.PAGE_W / Umax)));
+}
+
+// One slice as SVG elements with its top-left at (ox, oy)
+function sliceSVG(plane, d, ox, oy, cellPx, answers) {
+  const { Umax, Vmax } = planeBounds(plane);
+  const out = [];
+  for (let v = 0; v < Vmax; v++) {
+    for (let u = 0; u < Umax; u++) {
+      const w = sliceToWorld(plane, d, u, v);
+      const ce = cell(w.x, w.y, w.z);
+      if (ce.outside) continue;
+      const x = ox + u * cellPx, y = oy + v * cellPx;
+      out.push(`<rect x="${x}" y="${y}" width="${cellPx}" height="${cellPx}" fill="${ce.block ? "#222" : "#fff"}" stroke="#000" stroke-width="1"/>`);
+      if (ce.block) continue;
+      const num = ce.numR || ce.numD || ce.numI;
+      if (num) {
+        out.push(`<text x="${x + 2}" y="${y + 2}" font-size="${Math.max(6, Math.round(cellPx * 0.3))}" dominant-baseline="hanging">${num}</text>`);
+      }
+      if (answers && ce.sol) {
+        out.push(`<text x="${x + cellPx / 2}" y="${y + cellPx * 0.62}" font-size="${Math.round(cellPx * 0.55)}" text-anchor="middle" dominant-baseline="middle">${escapeHtml(ce.sol)}</text>`);
       }
     }
+  }
+  return out.join("\n");
+}
+
+function printClues(kind, answers) {
+  return [...clues[kind]].sort((a, b) => a.n - b.n).map(c => ({
+    n: c.n,
+    text: `${c.hint ?? ""} (${c.len})${answers && c.answer ? ` — ${c.answer}` : ""}`,
+  }));
+}
 
-    // 2) Build clues from words (viewer-format)
-    //    Numbering: same start-cell gets same number.
-    const startToNumber = new Map(); // "x,y,z" -> n
-    let nextN = 1;
-
-    for (const w of js.words) {
-      const key = `${w.start.x},${w.start.y},${w.start.z}`;
-      let n = startToNumber.get(key);
-      if (!n) { n = nextN++; startToNumber.set(key, n); }
-
-      const dir = w.dir;
-      const c = {
-        n,
-        start: { x: w.start.x, y: w.start.y, z: w.start.z },
-        len: (w.answer ?? "").length,
-        hint: w.clue ?? (dir === "R" ? "paremale" : dir === "D" ? "alla" : "sisse"),
-        answer: (w.answer ?? "").toUpperCase(),
-      };
-
-      clues[dir].push(c);
+// Naive wrap on spaces at maxChars (SVG text does not wrap by itself)
+function wrapText(str, maxChars) {
+  const lines = [];
+  let line = "";
+  for (const word of String(str).split(/\s+/)) {
+    if (line && (line + " " + word).length > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? line + " " + word : word;
     }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
 
-    // 3) Apply numbering to start cells (for drawing numbers)
-    for (const c of clues.R) setNum("R", c);
-    for (const c of clues.D) setNum("D", c);
-    for (const c of clues.I) setNum("I", c);
+function printTitle(answers) {
+  return tr("print.title", { nx: NX, ny: NY, nz: NZ }) + (answers ? tr("print.key") : "");
+}
 
-    // 4) Optional: also attach computed answers from world.sol (should match)
-    attachAnswersToClues();
+function buildPrintSVG(plane, answers) {
+  const cellPx = printCellPx(plane);
+  const { Umax, Vmax } = planeBounds(plane);
+  const sw = Umax * cellPx, sh = Vmax * cellPx;
+  const perRow = Math.max(1, Math.floor((PRINT.PAGE_W + PRINT.GAP) / (sw + PRINT.GAP)));
+  const count = sliceCount(plane);
+  const axis = depthName(plane);
+  const m = PRINT.GAP;
+
+  const parts = [];
+  let y = m;
+  parts.push(`<text x="${m}" y="${y + 14}" font-size="18" font-weight="bold">${escapeHtml(printTitle(answers))}</text>`);
+  y += 34;
+
+  for (let d = 0; d < count; d++) {
+    const col = d % perRow, row = Math.floor(d / perRow);
+    const ox = m + col * (sw + PRINT.GAP), oy = y + row * (sh + PRINT.GAP + 16);
+    parts.push(`<text x="${ox}" y="${oy + 11}" font-size="12">${axis} = ${d}</text>`);
+    parts.push(sliceSVG(plane, d, ox, oy + 16, cellPx, answers));
+  }
+  y += Math.ceil(count / perRow) * (sh + PRINT.GAP + 16) + 8;
+
+  const colW = PRINT.PAGE_W / 3;
+  let bottom = y;
+  DIRS.forEach((kind, k) => {
+    const x = Math.round(m + k * colW);
+    let ly = y;
+    parts.push(`<text x="${x}" y="${ly + 13}" font-size="14" font-weight="bold">${escapeHtml(dirLabel(kind))}</text>`);
+    ly += 22;
+    for (const c of printClues(kind, answers)) {
+      wrapText(`${c.n}. ${c.text}`, PRINT.CLUE_CHARS).forEach((line, i) => {
+        parts.push(`<text x="${x + (i ? 14 : 0)}" y="${ly + 11}" font-size="11">${escapeHtml(line)}</text>`);
+        ly += PRINT.CLUE_LINE;
+      });
+    }
+    bottom = Math.max(bottom, ly);
+  });
+
+  const W = PRINT.PAGE_W + 2 * m, H = bottom + m;
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${W}" height="${H}" viewBox="0 0 ${W} ${H}" font-family="sans-serif">`,
+    `<rect width="${W}" height="${H}" fill="#fff"/>`,
+    ...parts,
+    "</svg>",
+  ].join("\n");
+}
 
-    puzzle = js;
-    return;
+function buildPrintHTML(plane, answers) {
+  const cellPx = printCellPx(plane);
+  const { Umax, Vmax } = planeBounds(plane);
+  const sw = Umax * cellPx + 2, sh = Vmax * cellPx + 2;
+  const axis = depthName(plane);
+  const title = escapeHtml(printTitle(answers));
+
+  const slices = [];
+  for (let d = 0; d < sliceCount(plane); d++) {
+    slices.push(
+      `<figure><figcaption>${axis} = ${d}</figcaption>` +
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${sw}" height="${sh}" font-family="sans-serif">` +
+      `${sliceSVG(plane, d, 1, 1, cellPx, answers)}</svg></figure>`);
   }
+  const lists = DIRS.map(kind =>
+    `<section><h2>${escapeHtml(dirLabel(kind))}</h2><ol>` +
+    printClues(kind, answers).map(c => `<li value="${c.n}">${escapeHtml(c.text)}</li>`).join("") +
+    "</ol></section>");
+
+  return `<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+  body { font-family: sans-serif; margin: 16px; color: #000; background: #fff; }
+  .slices { display: flex; flex-wrap: wrap; gap: 16px; }
+  figure { margin: 0; break-inside: avoid; page-break-inside: avoid; }
+  figcaption { font-size: 12px; margin-bottom: 4px; }
+  .clues { display: flex; gap: 24px; margin-top: 24px; }
+  .clues section { flex: 1; font-size: 12px; }
+  .clues h2 { font-size: 14px; margin: 0 0 6px; }
+  .clues ol { margin: 0; padding-left: 28px; }
+  .clues li { break-inside: avoid; }
+  @media print { body { margin: 0; } .clues { break-before: auto; } }
+</style>
+</head>
+<body>
+<h1 style="font-size:18px">${title}</h1>
+<div class="slices">
+${slices.join("\n")}
+</div>
+<div class="clues">
+${lists.join("\n")}
+</div>
+</body>
+</html>`;
+}
 
-  // -------------------------
-  // FORMAT B (LEGACY): solution[] + clues{}
-  // -------------------------
-  for (const s of (js.solution ?? [])) {         // <-- SIIN oli sul viga: js.answer
-    if (!inBounds(s.x, s.y, s.z)) continue;
-    const ce = world[s.z][s.y][s.x];
-    if (!ce.block) ce.sol = s.ch ?? "";
+// format: "svg" | "html"
+function downloadPrint(format, plane, answers) {
+  if (!NX) return;
+  const body = format === "svg" ? buildPrintSVG(plane, answers) : buildPrintHTML(plane, answers);
+  const name = `crossword3d_${NX}x${NY}x${NZ}_${depthName(plane)}${answers ? "_" + tr("print.fileKey") : ""}`;
+  saveStrings(body.split("\n"), name, format);
+}
+
+// ---------------- EDITOR ----------------
+function slotKey(dir, start) {
+  return `${dir}@${start.x},${start.y},${start.z}`;
+}
+
+function setMode(m) {
+  if (m === mode) return;
+  if (m === "edit") {
+    enterEditor();
+  } else if (mode === "edit" && !leaveEditor()) {
+    modeSelect.selected(mode);
+    return;
   }
+  mode = m;
+  modeSelect.selected(mode);
+}
 
-  const hasClues = js.clues && (js.clues.R?.length || js.clues.D?.length || js.clues.I?.length);
-  if (hasClues) {
-    clues = {
-      R: js.clues.R ?? [],
-      D: js.clues.D ?? [],
-      I: js.clues.I ?? [],
-    };
-    ensureHintFields();
-  } else {
-    clues = computeCluesFromWorld();
-    ensureHintFields();
+// Seeds clue texts from the loaded puzzle (default direction hints are not real clue text)
+function enterEditor() {
+  editorClueText = new Map();
+  for (const dir of DIRS) {
+    for (const c of clues[dir]) {
+      if (c.hint && !isDefaultHint(dir, c.hint)) editorClueText.set(slotKey(dir, c.start), c.hint);
+    }
   }
+  setPaused(false);
+  clearHistory();
+  mode = "edit";
+  refreshEditorClues();
+}
 
-  for (const c of clues.R) setNum("R", c);
-  for (const c of clues.D) setNum("D", c);
-  for (const c of clues.I) setNum("I", c);
+// Loads the edited puzzle for solving; false if the loader refused it (strict mode)
+function leaveEditor() {
+  const { puzzle: js, problems } = editorToJSON();
+  if (!loadPuzzleFromJSON(js)) return false;
+  showValidationReport(validationReport.concat(problems));
+  clearHistory();
+  restoreProgress();
+  updateCompletion();
+  return true;
+}
 
-  attachAnswersToClues();
-  puzzle = js;
+function newEmptyPuzzle() {
+  const ans = prompt(tr("prompt.dims"), `${NX},${NY},${NZ}`);
+  if (!ans) return;
+  const [nx, ny, nz] = ans.split(",").map(v => parseInt(v, 10));
+  if (![nx, ny, nz].every(v => Number.isInteger(v) && v > 0)) return;
+
+  usePuzzle(new Puzzle(nx, ny, nz, game.metaFields()));
+  editorClueText = new Map();
+  mode = "edit";
+  modeSelect.selected(mode);
+  resetSessionState();
+  pickFirstOpenCell();
+  refreshEditorClues();
 }
 
+// Slots straight from the blocks, clue text from editorClueText, answers from sol
+function refreshEditorClues() {
+  const found = game.slots();
+  for (const dir of DIRS) {
+    for (const c of found[dir]) c.hint = editorClueText.get(slotKey(dir, c.start)) || defaultHint(dir);
+  }
+  setClues(found);
+}
 
-function clearNumbers() {
-  for (let z = 0; z < NZ; z++)
-    for (let y = 0; y < NY; y++)
-      for (let x = 0; x < NX; x++) {
-        const ce = cell(x, y, z);
-        ce.numR = ce.numD = ce.numI = 0;
-      }
+// Slot (start of the active word) the clue input edits, null if the cursor is on no word
+function editorActiveSlot() {
+  const cells = wordCellsThrough(cur.x, cur.y, cur.z, activeDir);
+  if (cells.length < 2) return null;
+  return slotKey(activeDir, cells[0]);
 }
 
-function setNum(kind, c) {
-  const s = c.start;
-  if (!inBounds(s.x, s.y, s.z)) return;
-  const ce = cell(s.x, s.y, s.z);
-  if (kind === "R") ce.numR = c.n;
-  if (kind === "D") ce.numD = c.n;
-  if (kind === "I") ce.numI = c.n;
+function setEditorClueText(text) {
+  const k = editorActiveSlot();
+  if (mode !== "edit" || !k) return;
+  if (text.trim()) editorClueText.set(k, text.trim());
+  else editorClueText.delete(k);
+  refreshEditorClues();
 }
 
-function ensureHintFields() {
- 
-  
-  // for (const c of clues.R) if (!c.hint) c.hint = "paremale";
-  for (const c of clues.R) console.log(c);
-  for (const c of clues.D) if (!c.hint) c.hint = "alla";
-  for (const c of clues.I) if (!c.hint) c.hint = "sisse";
+// Called every frame: keeps the clue input in sync with the active slot
+function syncClueInput() {
+  if (!clueInput) return;
+  const k = mode === "edit" ? editorActiveSlot() : null;
+  if (k === editorSlotShown) return;
+  editorSlotShown = k;
+  clueInput.value(k ? (editorClueText.get(k) ?? "") : "");
 }
 
-// ---------------- GENERATION (fallback) ----------------
-function generatePuzzleJSON() {
-  // build open world in generator dims
-  const genNX = CFG.GEN_NX, genNY = CFG.GEN_NY, genNZ = CFG.GEN_NZ;
+function toggleBlockAtCursor() {
+  const ce = cell(cur.x, cur.y, cur.z);
+  if (ce.outside) return;
+  withHistory(() => {
+    recordCell(cur.x, cur.y, cur.z);
+    ce.block = !ce.block;
+    ce.sol = ""; ce.ch = ""; ce.bad = false; ce.revealed = false;
+  });
+  refreshEditorClues();
+}
 
-  // temp generator world using same 'world' structure but with generator dims
-  NX = genNX; NY = genNY; NZ = genNZ;
-  world = new Array(NZ);
-  for (let z = 0; z < NZ; z++) {
-    world[z] = new Array(NY);
-    for (let y = 0; y < NY; y++) {
-      world[z][y] = new Array(NX);
-      for (let x = 0; x < NX; x++) {
-        world[z][y][x] = { block: false, ch: "", sol: "", numR: 0, numD: 0, numI: 0 };
-      }
-    }
-  }
+// Takes the cursor cell out of the puzzle's shape (mask) or puts it back as an open cell
+function toggleOutsideAtCursor() {
+  const ce = cell(cur.x, cur.y, cur.z);
+  withHistory(() => {
+    recordCell(cur.x, cur.y, cur.z);
+    game.setOutside(cur.x, cur.y, cur.z, !ce.outside);
+  });
+  refreshEditorClues();
+}
 
-  generateConnectedBlocks();
+// words[] (FORMAT A) from the edited world: { puzzle, problems } (half-filled slots are left out)
+function editorToJSON() {
+  return game.toWordsJSON((dir, start) => editorClueText.get(slotKey(dir, start)));
+}
 
-  // Blocks list
-  const blocks = [];
+// ---------------- PROGRESS ----------------
+function progressSnapshot() {
+  const cells = [];
   for (let z = 0; z < NZ; z++)
     for (let y = 0; y < NY; y++)
-      for (let x = 0; x < NX; x++)
-        if (cell(x, y, z).block) blocks.push({ x, y, z });
+      for (let x = 0; x < NX; x++) {
+        const ce = cell(x, y, z);
+        if (ce.block || !ce.ch) continue;
+        const e = { x, y, z, ch: ce.ch };
+        if (ce.bad) e.bad = true;
+        if (ce.revealed) e.revealed = true;
+        cells.push(e);
+      }
+  return {
+    puzzle: puzzleKey,
+    dims: { nx: NX, ny: NY, nz: NZ },
+    cells,
+    checks: checkCount,
+    reveals: revealCount,
+    time: Math.round(solveMs),
+    result: solveResult,
+    savedAt: new Date().toISOString(),
+  };
+}
 
-  // Dummy solution
-  const solution = [];
+// Returns false if the progress belongs to another puzzle
+function applyProgress(p) {
+  if (!p || p.puzzle !== puzzleKey) {
+    console.error("PROGRESS FOR ANOTHER PUZZLE", p && p.puzzle, puzzleKey);
+    return false;
+  }
   for (let z = 0; z < NZ; z++)
     for (let y = 0; y < NY; y++)
       for (let x = 0; x < NX; x++) {
         const ce = cell(x, y, z);
-        if (ce.block) continue;
-        const ch = pseudoLetter(x, y, z);
-        ce.sol = ch;
-        solution.push({ x, y, z, ch });
+        ce.ch = ""; ce.bad = false; ce.revealed = false;
       }
+  for (const e of (Array.isArray(p.cells) ? p.cells : [])) {
+    if (!e || !inBounds(e.x, e.y, e.z)) continue;
+    const ce = cell(e.x, e.y, e.z);
+    if (ce.block) continue;
+    ce.ch = e.ch ?? "";
+    ce.bad = !!e.bad;
+    ce.revealed = !!e.revealed;
+  }
+  checkCount = p.checks ?? 0;
+  revealCount = p.reveals ?? 0;
+  solveMs = p.time ?? 0;
+  solveResult = p.result ?? null;
+  clearHistory();
+  updateCompletion();
+  return true;
+}
 
-  // Clues
-  const jsClues = computeDirectionalCluesJSON();
+function saveProgress() {
+  try {
+    localStorage.setItem(PROGRESS_PREFIX + puzzleKey, JSON.stringify(progressSnapshot()));
+  } catch (e) {
+    console.error("PROGRESS SAVE FAILED", e);
+  }
+  progressDirty = false;
+  lastProgressSave = millis();
+  savedSolveMs = solveMs;
+}
 
-  puzzle = {
-    dims: { nx: NX, ny: NY, nz: NZ },
-    blocks,
-    solution,
-    clues: jsClues,
-  };
+function restoreProgress() {
+  let raw = null;
+  try {
+    raw = localStorage.getItem(PROGRESS_PREFIX + puzzleKey);
+  } catch (e) {
+    return;
+  }
+  if (!raw) return;
+  let saved;
+  try {
+    saved = JSON.parse(raw);
+  } catch (e) {
+    // corrupt entry: drop it so every later load does not trip over it again
+    console.error("PROGRESS RESTORE FAILED, removing the saved entry", e);
+    try {
+      localStorage.removeItem(PROGRESS_PREFIX + puzzleKey);
+    } catch (e2) {
+      // storage unavailable: nothing to clean up
+    }
+    return;
+  }
+  applyProgress(saved);
+}
 
-  // After generation, puzzle is loaded by setup() via loadPuzzleFromJSON(puzzle)
+// Called every frame, writes at most once per PROGRESS_SAVE_MS
+function autosaveProgress() {
+  if (progressDirty && millis() - lastProgressSave >= PROGRESS_SAVE_MS) saveProgress();
 }
 
-function generateConnectedBlocks() {
-  const total = NX * NY * NZ;
-  const targetBlocks = Math.floor(total * CFG.targetBlockFrac);
-  let blocks = 0;
-  let tries = 0;
+// Writes what the throttle still holds back, the time included: before another puzzle replaces this one and on pagehide
+function flushProgress() {
+  if (puzzleKey && (progressDirty || solveMs !== savedSolveMs)) saveProgress();
+}
 
-  while (blocks < targetBlocks && tries < CFG.maxTries) {
-    tries++;
-    const x = (Math.random() * NX) | 0;
-    const y = (Math.random() * NY) | 0;
-    const z = (Math.random() * NZ) | 0;
-    const ce = cell(x, y, z);
-    if (ce.block) continue;
+function exportProgress() {
+  saveJSON(progressSnapshot(), `progress_${puzzleKey}.json`);
+}
 
-    ce.block = true;
-    if (
-      sliceOpenCountXY(z) >= CFG.minOpenPerSlice &&
-      sliceOpenCountXZ(y) >= CFG.minOpenPerSlice &&
-      sliceOpenCountYZ(x) >= CFG.minOpenPerSlice &&
-      allSlicesConnected()
-    ) {
-      blocks++;
-    } else {
-      ce.block = false;
+function importProgress(file) {
+  const p = fileToJSON(file);
+  if (p && applyProgress(p)) saveProgress();
+}
+
+// p5.File -> parsed JSON (data may arrive parsed, as text or as a data URL)
+function fileToJSON(file) {
+  try {
+    const d = file.data;
+    if (typeof d !== "string") return d;
+    if (d.startsWith("data:")) {
+      const b64 = d.slice(d.indexOf(",") + 1);
+      return JSON.parse(decodeURIComponent(escape(atob(b64))));
     }
+    return JSON.parse(d);
+  } catch (e) {
+    console.error("BAD JSON FILE", file && file.name, e);
+    return null;
   }
 }
 
-// Connectivity helpers (using current NX/NY/NZ)
-function sliceOpenCountXY(z) {
-  let c = 0;
-  for (let y = 0; y < NY; y++) for (let x = 0; x < NX; x++) if (!cell(x, y, z).block) c++;
-  return c;
+// ---------------- ALPHABET ----------------
+// Text from the IME sink (composition result or plain input), entered letter by letter
+function typeText(str) {
+  if (paused || showCompletion) return;
+  withHistory(() => {
+    for (const k of String(str).normalize("NFC")) {
+      const ch = normalizeChar(k);
+      if (!ch) continue;
+      if (setCursorLetter(ch)) stepInWord(1);
+    }
+  });
 }
-function sliceOpenCountXZ(y) {
-  let c = 0;
-  for (let z = 0; z < NZ; z++) for (let x = 0; x < NX; x++) if (!cell(x, y, z).block) c++;
-  return c;
+
+// Typed text goes through keyPressed(); only composed text (IME, mobile keyboards) lands here
+function createImeSink() {
+  imeSink = createInput("");
+  imeSink.position(CFG.MARGIN, CFG.MARGIN);
+  imeSink.attribute("autocomplete", "off");
+  imeSink.attribute("autocapitalize", "off");
+  for (const [k, v] of [["opacity", "0"], ["width", "1px"], ["height", "1px"], ["border", "0"], ["padding", "0"], ["pointer-events", "none"]]) {
+    imeSink.style(k, v);
+  }
+  imeSink.elt.addEventListener("compositionend", e => {
+    typeText(e.data ?? "");
+    imeSink.value("");
+  });
+  imeSink.elt.addEventListener("input", e => {
+    if (e.isComposing) return;
+    typeText(imeSink.value());
+    imeSink.value("");
+  });
 }
-function sliceOpenCountYZ(x) {
-  let c = 0;
-  for (let z = 0; z < NZ; z++) for (let y = 0; y < NY; y++) if (!cell(x, y, z).block) c++;
-  return c;
+
+function focusImeSink() {
+  if (imeSink) imeSink.elt.focus({ preventScroll: true });
+}
+
+// ---------------- JSON API ----------------
+// Makes p (engine.js Puzzle) the active puzzle; world, NX/NY/NZ, clues and the alphabet globals are views of it
+function usePuzzle(p) {
+  game = p;
+  world = p.world;
+  NX = p.nx; NY = p.ny; NZ = p.nz;
+  clues = p.clues;
+  alphabet = p.alphabet;
+  puzzleLocale = p.locale;
+  puzzleDirLabels = p.dirLabels;
+  // the generator's dictionary follows the puzzle's alphabet (words with other letters are left out)
+  if (dictIndex && (dictIndex.letters !== alphabet || dictIndex.locale !== puzzleLocale)) {
+    dictIndex = buildDictIndex(wordList, alphabet, puzzleLocale);
+  }
 }
 
-function allSlicesConnected() {
-  for (let z = 0; z < NZ; z++) if (!isConnectedXY(z)) return false;
-  for (let y = 0; y < NY; y++) if (!isConnectedXZ(y)) return false;
-  for (let x = 0; x < NX; x++) if (!isConnectedYZ(x)) return false;
+// Returns false (and keeps the current puzzle) when the JSON cannot or, in strict mode, may not be loaded
+function loadPuzzleFromJSON(js) {
+  const report = validatePuzzleJSON(js);
+  validationReport = report;
+  showValidationReport(report);
+  if (report.some(p => p.fatal)) return false;
+  if (strictLoad && report.some(p => p.level === "error")) return false;
+
+  flushProgress();
+  // hashed as given: the key must not depend on anything the loader fills in (e.g. default hints per language)
+  puzzleKey = hashString(JSON.stringify(js));
+  usePuzzle(Puzzle.fromJSON(js));
+  puzzle = js;
   return true;
 }
 
-function isConnectedXY(zFix) {
-  let start = null, open = 0;
-  for (let y = 0; y < NY; y++) for (let x = 0; x < NX; x++) {
-    if (!cell(x, y, zFix).block) { open++; if (!start) start = { x, y }; }
-  }
-  if (open === 0) return false;
-
-  const vis = new Uint8Array(NX * NY);
-  const qx = [start.x], qy = [start.y];
-  vis[start.y * NX + start.x] = 1;
-  let seen = 1;
-
-  while (qx.length) {
-    const cx = qx.pop(), cy = qy.pop();
-    const neigh = [[1,0],[-1,0],[0,1],[0,-1]];
-    for (const [dx, dy] of neigh) {
-      const nx = cx + dx, ny = cy + dy;
-      if (nx < 0 || nx >= NX || ny < 0 || ny >= NY) continue;
-      const idx = ny * NX + nx;
-      if (vis[idx]) continue;
-      if (cell(nx, ny, zFix).block) continue;
-      vis[idx] = 1; seen++;
-      qx.push(nx); qy.push(ny);
-    }
-  }
-  return seen === open;
+// New clues for the active puzzle (numbers and answers follow)
+function setClues(found) {
+  game.setClues(found);
+  clues = game.clues;
 }
 
-function isConnectedXZ(yFix) {
-  let start = null, open = 0;
-  for (let z = 0; z < NZ; z++) for (let x = 0; x < NX; x++) {
-    if (!cell(x, yFix, z).block) { open++; if (!start) start = { x, z }; }
-  }
-  if (open === 0) return false;
+// ---------------- GENERATION (fallback) ----------------
+// Symmetry choices of the generator controls -> engine symmetry names (labels: tr("sym.<id>"))
+const GEN_SYMMETRIES = { none: [], x: ["x"], y: ["y"], z: ["z"], xy: ["x", "y"], point: ["point"] };
+// Shape choices: box, the engine's SHAPES, or "current" = dims and mask of the loaded puzzle (labels: tr("shape.<id>"))
+const GEN_SHAPES = ["box", ...Object.keys(SHAPES), "current"];
+
+// Puzzle with the CFG.GEN_* dims (words[] when a dictionary is loaded); generateAndLoad() opens it.
+// Seed, symmetry and shape come from the controls; the seed used is stored in the puzzle.
+// Returns the generator's problems (a dictionary fill that failed).
+function generatePuzzleJSON() {
+  const current = genShape === "current" && game;
+  const dims = current ? { nx: NX, ny: NY, nz: NZ } : { nx: CFG.GEN_NX, ny: CFG.GEN_NY, nz: CFG.GEN_NZ };
+  const res = generatePuzzle({
+    ...dims,
+    dict: dictIndex,
+    meta: game ? game.metaFields() : {},
+    seed: genSeed,
+    symmetry: GEN_SYMMETRIES[genSymmetry] ?? [],
+    mask: current ? game.maskLayers() : genShape in SHAPES ? shapeMask(genShape, dims.nx, dims.ny, dims.nz) : null,
+  });
+  puzzle = res.puzzle;
+  return res.problems;
+}
 
-  const vis = new Uint8Array(NX * NZ);
-  const qx = [start.x], qz = [start.z];
-  vis[start.z * NX + start.x] = 1;
-  let seen = 1;
+// ---------------- WORLD HELPERS ----------------
+// Cells of the active puzzle (world is game.world)
+function cell(x, y, z) {
+  return world[z][y][x];
+}
 
-  while (qx.length) {
-    const cx = qx.pop(), cz = qz.pop();
-    const neigh = [[1,0],[-1,0],[0,1],[0,-1]];
-    for (const [dx, dz] of neigh) {
-      const nx = cx + dx, nz = cz + dz;
-      if (nx < 0 || nx >= NX || nz < 0 || nz >= NZ) continue;
-      const idx = nz * NX + nx;
-      if (vis[idx]) continue;
-      if (cell(nx, yFix, nz).block) continue;
-      vis[idx] = 1; seen++;
-      qx.push(nx); qz.push(nz);
-    }
-  }
-  return seen === open;
+function inBounds(x, y, z) {
+  return x >= 0 && x < NX && y >= 0 && y < NY && z >= 0 && z < NZ;
 }
 
-function isConnectedYZ(xFix) {
-  let start = null, open = 0;
-  for (let z = 0; z < NZ; z++) for (let y = 0; y < NY; y++) {
-    if (!cell(xFix, y, z).block) { open++; if (!start) start = { y, z }; }
-  }
-  if (open === 0) return false;
+// Typed letters of a clue's word, "_" for empty cells (e.g. "S_L_")
+function cluePattern(kind, c) {
+  return game.readWord(kind, c.start, c.len);
+}
 
-  const vis = new Uint8Array(NY * NZ);
-  const qy = [start.y], qz = [start.z];
-  vis[start.z * NY + start.y] = 1;
-  let seen = 1;
+// ---------------- VIEW MAPPING ----------------
+// XY: u=x v=y fixed z=cur.z
+// XZ: u=x v=z fixed y=depthY
+// YZ: u=y v=z fixed x=depthX
+// plane/c default to the main view and its camera; ortho panes pass their own
+function planeBounds(plane = view) {
+  if (plane === "XY") return { Umax: NX, Vmax: NY };
+  if (plane === "XZ") return { Umax: NX, Vmax: NZ };
+  return { Umax: NY, Vmax: NZ };
+}
 
-  while (qy.length) {
-    const cy = qy.pop(), cz = qz.pop();
-    const neigh = [[1,0],[-1,0],[0,1],[0,-1]];
-    for (const [dy, dz] of neigh) {
-      const ny = cy + dy, nz = cz + dz;
-      if (ny < 0 || ny >= NY || nz < 0 || nz >= NZ) continue;
-      const idx = nz * NY + ny;
-      if (vis[idx]) continue;
-      if (cell(xFix, ny, nz).block) continue;
-      vis[idx] = 1; seen++;
-      qy.push(ny); qz.push(nz);
-    }
-  }
-  return seen === open;
+function viewToWorld(i, j, plane = view, c = cam) {
+  const u = c.u + i, v = c.v + j;
+  if (plane === "XY") return { x: u, y: v, z: cur.z };
+  if (plane === "XZ") return { x: u, y: depthY, z: v };
+  return { x: depthX, y: u, z: v };
 }
 
-function pseudoLetter(x, y, z) {
-  const v = (x * 73 + y * 151 + z * 199 + 17) % 26;
-  return String.fromCharCode(65 + v);
+function worldToView(x, y, z, plane = view, c = cam) {
+  if (plane === "XY") return { i: x - c.u, j: y - c.v };
+  if (plane === "XZ") return { i: x - c.u, j: z - c.v };
+  return { i: y - c.u, j: z - c.v };
 }
 
-// ---------------- CLUES (generation + fallback) ----------------
-function computeDirectionalCluesJSON() {
-  const R = [], D = [], I = [];
-  let n = 0;
+function inCurrentSlice(x, y, z) {
+  if (view === "XY") return z === cur.z;
+  if (view === "XZ") return y === depthY;
+  return x === depthX;
+}
 
-  for (let z = 0; z < NZ; z++) for (let y = 0; y < NY; y++) for (let x = 0; x < NX; x++) {
-    const ce = cell(x, y, z);
-    if (ce.block) continue;
+function ensureCursorVisible(plane = view, c = cam, cols = CFG.VIEW_W, rows = CFG.VIEW_H) {
+  const { Umax, Vmax } = planeBounds(plane);
+  let uCur, vCur;
+  if (plane === "XY") { uCur = cur.x; vCur = cur.y; }
+  else if (plane === "XZ") { uCur = cur.x; vCur = cur.z; }
+  else { uCur = cur.y; vCur = cur.z; }
 
-    const startsR = (x === 0 || cell(x - 1, y, z).block) && (x + 1 < NX && !cell(x + 1, y, z).block);
-    const startsD = (y === 0 || cell(x, y - 1, z).block) && (y + 1 < NY && !cell(x, y + 1, z).block);
-    const startsI = (z === 0 || cell(x, y, z - 1).block) && (z + 1 < NZ && !cell(x, y, z + 1).block);
+  c.u = constrain(c.u, 0, max(0, Umax - cols));
+  c.v = constrain(c.v, 0, max(0, Vmax - rows));
 
-    if (startsR || startsD || startsI) n++;
+  if (uCur < c.u) c.u = uCur;
+  if (uCur >= c.u + cols) c.u = uCur - cols + 1;
+  if (vCur < c.v) c.v = vCur;
+  if (vCur >= c.v + rows) c.v = vCur - rows + 1;
 
-    if (startsR) {
-      const len = wordLen(x, y, z, 1, 0, 0);
-      R.push({ n, len, start: { x, y, z }, hint: "paremale" });
-    }
-    if (startsD) {
-      const len = wordLen(x, y, z, 0, 1, 0);
-      D.push({ n, len, start: { x, y, z }, hint: "alla" });
-    }
-    if (startsI) {
-      const len = wordLen(x, y, z, 0, 0, 1);
-      I.push({ n, len, start: { x, y, z }, hint: "sisse" });
-    }
+  c.u = constrain(c.u, 0, max(0, Umax - cols));
+  c.v = constrain(c.v, 0, max(0, Vmax - rows));
+}
+
+// ---------------- CHECK / REVEAL ----------------
+const CHECK_SCOPES = ["letter", "word", "slice", "cube"]; // labels: tr("scope.<id>")
+
+// Whole run of open cells through (x,y,z) along dir, from block/edge to block/edge
+function wordCellsThrough(x, y, z, dir) {
+  if (!inBounds(x, y, z) || cell(x, y, z).block) return [];
+  const { dx, dy, dz } = dirStep(dir);
+  while (inBounds(x - dx, y - dy, z - dz) && !cell(x - dx, y - dy, z - dz).block) {
+    x -= dx; y -= dy; z -= dz;
   }
+  const out = [];
+  while (inBounds(x, y, z) && !cell(x, y, z).block) {
+    out.push({ x, y, z });
+    x += dx; y += dy; z += dz;
+  }
+  return out;
+}
 
-  return { R, D, I };
+function scopeCells(scope) {
+  if (scope === "letter") return [{ x: cur.x, y: cur.y, z: cur.z }];
+  if (scope === "word") return wordCellsThrough(cur.x, cur.y, cur.z, activeDir);
+
+  const out = [];
+  for (let z = 0; z < NZ; z++)
+    for (let y = 0; y < NY; y++)
+      for (let x = 0; x < NX; x++) {
+        if (scope === "slice" && !inCurrentSlice(x, y, z)) continue;
+        out.push({ x, y, z });
+      }
+  return out;
 }
 
-function computeCluesFromWorld() {
-  // Same as computeDirectionalCluesJSON but without adding hint
-  const R = [], D = [], I = [];
+// Marks typed letters that differ from sol; empty cells and cells without sol are skipped
+function checkCells(scope) {
+  let wrong = 0;
+  for (const p of scopeCells(scope)) {
+    const ce = cell(p.x, p.y, p.z);
+    if (ce.block || !ce.ch || !ce.sol) continue;
+    ce.bad = ce.ch !== ce.sol;
+    if (ce.bad) wrong++;
+  }
+  checkCount++;
+  lastCheck = { scope, wrong };
+  progressDirty = true;
+  return wrong;
+}
+
+function revealCells(scope) {
+  withHistory(() => {
+    for (const p of scopeCells(scope)) {
+      const ce = cell(p.x, p.y, p.z);
+      if (ce.block || !ce.sol || ce.ch === ce.sol) continue;
+      recordCell(p.x, p.y, p.z);
+      ce.ch = ce.sol;
+      ce.revealed = true;
+      ce.bad = false;
+    }
+  });
+  revealCount++;
+  progressDirty = true;
+  updateCompletion();
+}
+
+function countBadCells() {
   let n = 0;
+  for (let z = 0; z < NZ; z++)
+    for (let y = 0; y < NY; y++)
+      for (let x = 0; x < NX; x++)
+        if (cell(x, y, z).bad) n++;
+  return n;
+}
 
-  for (let z = 0; z < NZ; z++) for (let y = 0; y < NY; y++) for (let x = 0; x < NX; x++) {
-    const ce = cell(x, y, z);
-    if (ce.block) continue;
+function scopeLabel(id) {
+  return CHECK_SCOPES.includes(id) ? tr(`scope.${id}`) : id;
+}
 
-    const startsR = (x === 0 || cell(x - 1, y, z).block) && (x + 1 < NX && !cell(x + 1, y, z).block);
-    const startsD = (y === 0 || cell(x, y - 1, z).block) && (y + 1 < NY && !cell(x, y + 1, z).block);
-    const startsI = (z === 0 || cell(x, y, z - 1).block) && (z + 1 < NZ && !cell(x, y, z + 1).block);
+// ---------------- UNDO / REDO ----------------
+// A history entry is a group of cell changes { x, y, z, before, after } that undoes in one step.
+// Mutations call recordCell() before touching a cell; withHistory() collects everything done
+// inside it (nested calls join the outer group), so e.g. a revealed word is one entry.
+// Check/reveal tallies are not rolled back: undoing a reveal does not refund it.
+const HISTORY_MAX = 500;
+let undoStack = [];
+let redoStack = [];
+let pendingGroup = null; // Map "x,y,z" -> { x, y, z, before } while withHistory() runs
+
+function cellState(ce) {
+  return { ch: ce.ch, sol: ce.sol, block: ce.block, outside: ce.outside, bad: ce.bad, revealed: ce.revealed };
+}
 
-    if (startsR || startsD || startsI) n++;
+function recordCell(x, y, z) {
+  if (!pendingGroup) return;
+  const k = `${x},${y},${z}`;
+  if (!pendingGroup.has(k)) pendingGroup.set(k, { x, y, z, before: cellState(cell(x, y, z)) });
+}
 
-    if (startsR) R.push({ n, len: wordLen(x, y, z, 1, 0, 0), start: { x, y, z }, hint: "paremale" });
-    if (startsD) D.push({ n, len: wordLen(x, y, z, 0, 1, 0), start: { x, y, z }, hint: "alla" });
-    if (startsI) I.push({ n, len: wordLen(x, y, z, 0, 0, 1), start: { x, y, z }, hint: "sisse" });
+function withHistory(fn) {
+  if (pendingGroup) return fn();
+  pendingGroup = new Map();
+  try {
+    return fn();
+  } finally {
+    const changes = [];
+    for (const e of pendingGroup.values()) {
+      const after = cellState(cell(e.x, e.y, e.z));
+      if (Object.keys(after).some(k => after[k] !== e.before[k])) changes.push({ ...e, after });
+    }
+    pendingGroup = null;
+    if (changes.length) {
+      undoStack.push({ mode, changes });
+      if (undoStack.length > HISTORY_MAX) undoStack.shift();
+      redoStack = [];
+    }
   }
+}
 
-  return { R, D, I };
+function clearHistory() {
+  undoStack = [];
+  redoStack = [];
 }
 
-function wordLen(x, y, z, dx, dy, dz) {
-  let len = 0;
-  while (inBounds(x, y, z) && !cell(x, y, z).block) {
-    len++;
-    x += dx; y += dy; z += dz;
-  }
-  return len;
+function undo() {
+  const g = undoStack.pop();
+  if (!g) return false;
+  applyHistory(g, "before");
+  redoStack.push(g);
+  return true;
 }
 
-function attachAnswersToClues() {
-  for (const c of clues.R) c.answer = readWordFromSolution(c.start, 1, 0, 0);
-  for (const c of clues.D) c.answer = readWordFromSolution(c.start, 0, 1, 0);
-  for (const c of clues.I) c.answer = readWordFromSolution(c.start, 0, 0, 1);
+function redo() {
+  const g = redoStack.pop();
+  if (!g) return false;
+  applyHistory(g, "after");
+  undoStack.push(g);
+  return true;
 }
 
-function readWordFromSolution(start, dx, dy, dz) {
-  let { x, y, z } = start;
-  let s = "";
-  while (inBounds(x, y, z) && !cell(x, y, z).block) {
-    s += (cell(x, y, z).sol || "?");
-    x += dx; y += dy; z += dz;
-  }
-  return s;
+// Restores one side of a group and puts the cursor on its first cell
+function applyHistory(g, side) {
+  for (const c of g.changes) Object.assign(cell(c.x, c.y, c.z), c[side]);
+  const first = g.changes[0];
+  cur = { x: first.x, y: first.y, z: first.z };
+  depthX = cur.x; depthY = cur.y;
+  if (mode === "edit") refreshEditorClues();
+  progressDirty = true;
+  updateCompletion();
 }
 
-// ---------------- WORLD HELPERS ----------------
-function cell(x, y, z) {
-  return world[z][y][x];
+// ---------------- TIMER / COMPLETION ----------------
+function timerRunning() {
+  return mode !== "edit" && !paused && !solveResult && NX > 0;
 }
 
-function inBounds(x, y, z) {
-  return x >= 0 && x < NX && y >= 0 && y < NY && z >= 0 && z < NZ;
+// Called every frame
+function tickTimer() {
+  const now = millis();
+  // the time is saved with the next edit, pause or completion (or flushProgress()), not every frame
+  if (timerRunning()) solveMs += now - lastTick;
+  lastTick = now;
 }
 
-// ---------------- VIEW MAPPING ----------------
-// XY: u=x v=y fixed z=cur.z
-// XZ: u=x v=z fixed y=depthY
-// YZ: u=y v=z fixed x=depthX
-function planeBounds() {
-  if (view === "XY") return { Umax: NX, Vmax: NY };
-  if (view === "XZ") return { Umax: NX, Vmax: NZ };
-  return { Umax: NY, Vmax: NZ };
+function formatTime(ms) {
+  const t = Math.floor(ms / 1000);
+  const h = Math.floor(t / 3600), m = Math.floor(t / 60) % 60, sec = t % 60;
+  const mm = h ? String(m).padStart(2, "0") : String(m);
+  return `${h ? h + ":" : ""}${mm}:${String(sec).padStart(2, "0")}`;
 }
 
-function viewToWorld(i, j) {
-  const u = cam.u + i, v = cam.v + j;
-  if (view === "XY") return { x: u, y: v, z: cur.z };
-  if (view === "XZ") return { x: u, y: depthY, z: v };
-  return { x: depthX, y: u, z: v };
+function setPaused(p) {
+  const was = paused;
+  paused = p && !solveResult && mode !== "edit";
+  if (paused && !was) progressDirty = true; // keeps the time so far
+  if (pauseBtn) pauseBtn.html(tr(paused ? "btn.resume" : "btn.pause"));
 }
 
-function worldToView(x, y, z) {
-  if (view === "XY") return { i: x - cam.u, j: y - cam.v };
-  if (view === "XZ") return { i: x - cam.u, j: z - cam.v };
-  return { i: y - cam.u, j: z - cam.v };
+function wordComplete(kind, c) {
+  const { dx, dy, dz } = dirStep(kind);
+  for (let i = 0; i < c.len; i++) {
+    const x = c.start.x + dx * i, y = c.start.y + dy * i, z = c.start.z + dz * i;
+    if (!inBounds(x, y, z)) return false;
+    const ce = cell(x, y, z);
+    if (ce.block || !ce.sol || ce.ch !== ce.sol) return false;
+  }
+  return true;
 }
 
-function ensureCursorVisible() {
-  const { Umax, Vmax } = planeBounds();
-  let uCur, vCur;
-  if (view === "XY") { uCur = cur.x; vCur = cur.y; }
-  else if (view === "XZ") { uCur = cur.x; vCur = cur.z; }
-  else { uCur = cur.y; vCur = cur.z; }
+// Recounts finished words; the first time every solution cell matches, the result is frozen
+function updateCompletion() {
+  if (mode === "edit") return;
+  wordsDone = 0; wordsTotal = 0;
+  for (const kind of DIRS) {
+    for (const c of clues[kind]) {
+      wordsTotal++;
+      if (wordComplete(kind, c)) wordsDone++;
+    }
+  }
+  if (solveResult) return;
+
+  let cells = 0;
+  for (let z = 0; z < NZ; z++)
+    for (let y = 0; y < NY; y++)
+      for (let x = 0; x < NX; x++) {
+        const ce = cell(x, y, z);
+        if (ce.block || !ce.sol) continue;
+        if (ce.ch !== ce.sol) return;
+        cells++;
+      }
+  if (!cells) return;
 
-  cam.u = constrain(cam.u, 0, max(0, Umax - CFG.VIEW_W));
-  cam.v = constrain(cam.v, 0, max(0, Vmax - CFG.VIEW_H));
+  solveResult = { ms: Math.round(solveMs), checks: checkCount, reveals: revealCount, score: computeScore(cells) };
+  showCompletion = true;
+  setPaused(false);
+  progressDirty = true;
+}
 
-  if (uCur < cam.u) cam.u = uCur;
-  if (uCur >= cam.u + CFG.VIEW_W) cam.u = uCur - CFG.VIEW_W + 1;
-  if (vCur < cam.v) cam.v = vCur;
-  if (vCur >= cam.v + CFG.VIEW_H) cam.v = vCur - CFG.VIEW_H + 1;
+function computeScore(cells) {
+  const bonus = Math.max(0, Math.round(cells * CFG.SCORE_PAR_S_PER_CELL - solveMs / 1000));
+  const score = cells * CFG.SCORE_CELL + bonus - checkCount * CFG.SCORE_CHECK - revealCount * CFG.SCORE_REVEAL;
+  return Math.max(0, score);
+}
 
-  cam.u = constrain(cam.u, 0, max(0, Umax - CFG.VIEW_W));
-  cam.v = constrain(cam.v, 0, max(0, Vmax - CFG.VIEW_H));
+// Covers the grid and clue area while paused
+function drawPauseScreen() {
+  push();
+  noStroke();
+  fill(30);
+  rect(0, 0, CFG.MARGIN * 2 + CFG.VIEW_W * CFG.CELL, height);
+  rect(0, CFG.MARGIN * 2 + CFG.VIEW_H * CFG.CELL, width, height);
+  fill(230);
+  textAlign(CENTER, CENTER);
+  textSize(22);
+  const cx = CFG.MARGIN + (CFG.VIEW_W * CFG.CELL) / 2, cy = CFG.MARGIN + (CFG.VIEW_H * CFG.CELL) / 2;
+  text(tr("pause.title"), cx, cy - 14);
+  textSize(12);
+  text(tr("pause.hint"), cx, cy + 14);
+  pop();
 }
 
-// ---------------- DRAW: GRID ----------------
-function drawGrid() {
+function drawCompletionScreen() {
+  const r = solveResult;
+  const w = 340, h = 190;
+  const x = (width - w) / 2, y = CFG.MARGIN + 40;
   push();
-  translate(CFG.MARGIN, CFG.MARGIN);
-
-  // cursor highlight
-  // const pv = worldToView(cur.x, cur.y, cur.z);
-  // if (pv.i >= 0 && pv.i < CFG.VIEW_W && pv.j >= 0 && pv.j < CFG.VIEW_H) {
-  //   noStroke();
-  //   fill(80, 150, 220, 130);
-  //   rect(pv.i * CFG.CELL, pv.j * CFG.CELL, CFG.CELL, CFG.CELL);
-  // }
-  
-  const pad = getViewPadding();
-  const pv0 = worldToView(cur.x, cur.y, cur.z);
-  const pv = { i: pv0.i + pad.padLeft, j: pv0.j + pad.padTop };
-  
-  // const pad = getViewPadding();
-
-for (let j = 0; j < CFG.VIEW_H; j++) {
-  for (let i = 0; i < CFG.VIEW_W; i++) {
-    const x = i * CFG.CELL, y = j * CFG.CELL;
-
-    // map screen cell -> plane coords with centering
-    const ii = i - pad.padLeft;
-    const jj = j - pad.padTop;
-
-    // padding outside the actual plane (e.g. NZ < VIEW_H)
-    if (ii < 0 || jj < 0 || ii >= pad.Umax || jj >= pad.Vmax) {
-      fill(8);
-      stroke(40);
-      rect(x, y, CFG.CELL, CFG.CELL);
-      stroke(85);
-      continue;
-    }
+  fill(0, 0, 0, 150);
+  noStroke();
+  rect(0, 0, width, height);
+  fill(35, 60, 45);
+  stroke(120, 220, 150);
+  strokeWeight(2);
+  rect(x, y, w, h, 10);
+  noStroke();
+  fill(235);
+  textAlign(CENTER, TOP);
+  textSize(22);
+  text(tr("done.title"), x + w / 2, y + 16);
+  textSize(14);
+  text(tr("done.time", { time: formatTime(r.ms) }), x + w / 2, y + 58);
+  text(tr("tally", { checks: r.checks, reveals: r.reveals }), x + w / 2, y + 80);
+  textSize(18);
+  text(tr("done.score", { score: r.score }), x + w / 2, y + 110);
+  textSize(11);
+  fill(190);
+  text(tr("done.close"), x + w / 2, y + h - 24);
+  pop();
+}
 
-    const w = viewToWorld(ii, jj);
+// ---------------- DRAW: GRID ----------------
+// A pane is one slice on screen: { plane, c (camera), ox, oy, cellPx, cols, rows, crosshair }
+function mainPane() {
+  return { plane: view, c: cam, ox: CFG.MARGIN, oy: CFG.MARGIN, cellPx: CFG.CELL, cols: CFG.VIEW_W, rows: CFG.VIEW_H };
+}
 
-    // now w is guaranteed in plane bounds; still keep safety check:
-    if (!inBounds(w.x, w.y, w.z)) {
-      fill(8);
-      stroke(40);
-      rect(x, y, CFG.CELL, CFG.CELL);
-      stroke(85);
-      continue;
-    }
+function drawGrid() {
+  const pane = mainPane();
+  ensureCursorVisible(pane.plane, pane.c, pane.cols, pane.rows);
+  drawSlice(pane);
+}
 
+function drawSlice(pane) {
+  const { plane, c, cellPx, cols, rows } = pane;
+  push();
+  translate(pane.ox, pane.oy);
 
+  const pad = getViewPadding(plane, cols, rows);
+  const pv0 = worldToView(cur.x, cur.y, cur.z, plane, c);
+  const pv = { i: pv0.i + pad.padLeft, j: pv0.j + pad.padTop };
 
-  stroke(85);
-    
-  // for (let j = 0; j < CFG.VIEW_H; j++) {
-  //   for (let i = 0; i < CFG.VIEW_W; i++) {
-  //     const w = viewToWorld(i, j);
-  //     const x = i * CFG.CELL, y = j * CFG.CELL;
-
-      // if (!inBounds(w.x, w.y, w.z)) {
-      //   noStroke();
-      //   fill(8);
-      //   rect(x, y, CFG.CELL, CFG.CELL);
-      //   stroke(85);
-      //   continue;
-      // }
-  
-
-      // if(!inBounds(w.x,w.y,w.z)){
-      //   // out-of-bounds: joonista ikka ruuduraam, et ei näiks "peidetud"
-      //   fill(8);
-      //   stroke(40);          // nõrgem raam
-      //   rect(x, y, CFG.CELL, CFG.CELL);
-      //   stroke(85);          // restore
-      //   continue;
-      // }
+  const wordKeys = new Set(wordCellsThrough(cur.x, cur.y, cur.z, activeDir).map(p => `${p.x},${p.y},${p.z}`));
 
+  stroke(85);
+  for (let j = 0; j < rows; j++) {
+    for (let i = 0; i < cols; i++) {
+      const x = i * cellPx, y = j * cellPx;
+
+      // map screen cell -> plane coords with centering
+      const ii = i - pad.padLeft;
+      const jj = j - pad.padTop;
+      const w = viewToWorld(ii, jj, plane, c);
+
+      // padding outside the actual plane (e.g. NZ < VIEW_H)
+      if (ii < 0 || jj < 0 || ii >= pad.Umax || jj >= pad.Vmax || !inBounds(w.x, w.y, w.z)) {
+        fill(8);
+        stroke(40);
+        rect(x, y, cellPx, cellPx);
+        stroke(85);
+        continue;
+      }
 
       const ce = cell(w.x, w.y, w.z);
       if (ce.block) {
-        fill(10);
-        rect(x, y, CFG.CELL, CFG.CELL);
+        if (ce.outside) {
+          // outside the puzzle's shape: empty space, a dot where the cell would be
+          noStroke();
+          fill(55);
+          circle(x + cellPx / 2, y + cellPx / 2, max(2, cellPx * 0.08));
+          stroke(85);
+        } else {
+          fill(10);
+          rect(x, y, cellPx, cellPx);
+        }
+        // editor cursor may sit on a block or outside the shape
+        if (i === pv.i && j === pv.j) {
+          noFill();
+          stroke(80, 150, 220);
+          strokeWeight(2);
+          rect(x + 2, y + 2, cellPx - 4, cellPx - 4);
+          strokeWeight(1);
+          stroke(85);
+        }
         continue;
       }
 
-      noFill();
-      rect(x, y, CFG.CELL, CFG.CELL);
+      if (ce.bad) fill(120, 30, 30);
+      else if (i === pv.i && j === pv.j) fill(80, 150, 220, 130);
+      else if (wordKeys.has(`${w.x},${w.y},${w.z}`)) fill(45, 75, 115, 110);
+      else noFill();
+      rect(x, y, cellPx, cellPx);
+
+      // number (start cell)
+      const num = ce.numR || ce.numD || ce.numI;
+      if (num) {
+        noStroke();
+        fill(170);
+        textAlign(LEFT, TOP);
+        textSize(max(8, cellPx * 0.3));
+        text(num, x + 3, y + 2);
+        stroke(85);
+      }
+
+      // typed char (editor: solution letter)
+      const shown = cellLetter(ce);
+      if (shown) {
+        noStroke();
+        if (mode === "edit") fill(240, 200, 120);
+        else if (ce.bad) fill(255, 140, 140);
+        else if (ce.revealed) fill(120, 180, 255);
+        else fill(235);
+        textAlign(CENTER, CENTER);
+        textSize(cellPx * 0.55);
+        text(shown, x + cellPx / 2, y + cellPx / 2 + 2);
+        stroke(85);
+      }
+    }
+  }
+
+  if (pane.crosshair) drawCrosshair(pane, pad, pv);
+  pop();
+}
+
+// Plane colors: crosshair lines show where the other two planes cut this one
+const PLANE_COLOR = { XY: [80, 150, 220], XZ: [110, 200, 120], YZ: [230, 150, 70] };
+
+function drawCrosshair(pane, pad, pv) {
+  const { plane, cellPx, cols, rows } = pane;
+  // axis on u / v of this plane -> the plane that fixes that axis
+  const uPlane = plane === "YZ" ? "XZ" : "YZ";
+  const vPlane = plane === "XY" ? "XZ" : "XY";
+  const cx = (pv.i + 0.5) * cellPx, cy = (pv.j + 0.5) * cellPx;
+  const x0 = pad.padLeft * cellPx, x1 = min(cols, pad.padLeft + pad.Umax) * cellPx;
+  const y0 = pad.padTop * cellPx, y1 = min(rows, pad.padTop + pad.Vmax) * cellPx;
+
+  strokeWeight(1.5);
+  if (pv.i >= 0 && pv.i < cols) {
+    stroke(...PLANE_COLOR[uPlane], 200);
+    line(cx, y0, cx, y1);
+  }
+  if (pv.j >= 0 && pv.j < rows) {
+    stroke(...PLANE_COLOR[vPlane], 200);
+    line(x0, cy, x1, cy);
+  }
+
+  noFill();
+  stroke(...PLANE_COLOR[plane]);
+  strokeWeight(plane === view ? 3 : 1);
+  rect(0, 0, cols * cellPx, rows * cellPx);
+  strokeWeight(1);
+}
+
+// ---------------- DRAW: ORTHO PANES ----------------
+// 2x2 in the grid area: XY top-left, YZ top-right, XZ bottom-left (shares x with XY), legend bottom-right
+function orthoPanes() {
+  const gap = 8;
+  const area = min(CFG.VIEW_W, CFG.VIEW_H) * CFG.CELL;
+  const paneSize = floor((area - gap) / 2);
+  const cellPx = floor(paneSize / CFG.ORTHO_CELLS);
+  const at = { XY: [0, 0], YZ: [1, 0], XZ: [0, 1] };
+
+  return ["XY", "YZ", "XZ"].map(plane => ({
+    plane,
+    c: plane === view ? cam : orthoCams[plane],
+    ox: CFG.MARGIN + at[plane][0] * (paneSize + gap),
+    oy: CFG.MARGIN + at[plane][1] * (paneSize + gap),
+    cellPx,
+    cols: CFG.ORTHO_CELLS,
+    rows: CFG.ORTHO_CELLS,
+    crosshair: true,
+  }));
+}
+
+function drawOrthoPanes() {
+  const panes = orthoPanes();
+  for (const pane of panes) {
+    ensureCursorVisible(pane.plane, pane.c, pane.cols, pane.rows);
+    drawSlice(pane);
+  }
+
+  // legend in the free quadrant
+  const free = panes.find(p => p.plane === "YZ");
+  const lx = free.ox, ly = panes.find(p => p.plane === "XZ").oy;
+  push();
+  translate(lx, ly);
+  noStroke();
+  textAlign(LEFT, TOP);
+  textSize(12);
+  const rowsTxt = [
+    ["XY", `XY  z=${cur.z}`],
+    ["YZ", `YZ  x=${depthX}`],
+    ["XZ", `XZ  y=${depthY}`],
+  ];
+  rowsTxt.forEach(([plane, label], k) => {
+    fill(...PLANE_COLOR[plane]);
+    text((plane === view ? "> " : "  ") + label, 0, k * 18);
+  });
+  fill(170);
+  textSize(10);
+  text(tr("ortho.hint"), 0, 62);
+  pop();
+}
+
+// Pane under the mouse and the world cell clicked (cell null = padding), or null
+function paneAtMouse(pane) {
+  const i = floor((mouseX - pane.ox) / pane.cellPx);
+  const j = floor((mouseY - pane.oy) / pane.cellPx);
+  if (i < 0 || i >= pane.cols || j < 0 || j >= pane.rows) return null;
+
+  const pad = getViewPadding(pane.plane, pane.cols, pane.rows);
+  const ii = i - pad.padLeft, jj = j - pad.padTop;
+  if (ii < 0 || jj < 0 || ii >= pad.Umax || jj >= pad.Vmax) return { pane, w: null };
+  return { pane, w: viewToWorld(ii, jj, pane.plane, pane.c) };
+}
+
+// The focused pane uses the main cam; the others keep theirs in orthoCams
+function focusPane(plane) {
+  if (plane === view) return;
+  orthoCams[view] = cam;
+  view = plane;
+  cam = orthoCams[plane];
+  syncActiveDirToView();
+}
+
+function visiblePanes() {
+  if (layout === "ortho") return orthoPanes();
+  if (layout === "slice") return [mainPane()];
+  return [];
+}
+
+// ---------------- DRAW: 3D VIEW ----------------
+// World axes on screen: x right, y down, z (sisse) away from the viewer.
+function view3DSize() {
+  return min(CFG.VIEW_W, CFG.VIEW_H) * CFG.CELL;
+}
+
+function voxelSize(size) {
+  return (size * 0.55) / max(NX, NY, NZ);
+}
+
+// World cell -> model coords (cube centered on the origin)
+function voxelCenter(x, y, z, s) {
+  return [(x - (NX - 1) / 2) * s, (y - (NY - 1) / 2) * s, -(z - (NZ - 1) / 2) * s];
+}
+
+// Same transform as drawCube3D (scale, rotateX, rotateY) + p5's default perspective camera.
+// Returns screen position inside the buffer and camera-space depth (bigger = nearer).
+function projectVoxel(x, y, z, size) {
+  const s = voxelSize(size);
+  let [px, py, pz] = voxelCenter(x, y, z, s);
+
+  const cy = Math.cos(orbit.rotY), sy = Math.sin(orbit.rotY);
+  [px, pz] = [px * cy + pz * sy, -px * sy + pz * cy];
+  const cx = Math.cos(orbit.rotX), sx = Math.sin(orbit.rotX);
+  [py, pz] = [py * cx - pz * sx, py * sx + pz * cx];
+  px *= orbit.zoom; py *= orbit.zoom; pz *= orbit.zoom;
+
+  const camZ = (size / 2) / Math.tan(Math.PI / 6);
+  const f = camZ / (camZ - pz);
+  return { sx: size / 2 + px * f, sy: size / 2 + py * f, depth: pz, r: (s * orbit.zoom * f) / 2 };
+}
+
+function letterTexture(ch, state) {
+  const k = `${ch}|${state}`;
+  if (letterTex.has(k)) return letterTex.get(k);
+
+  const t = createGraphics(64, 64);
+  t.clear();
+  t.noStroke();
+  t.fill(state === "bad" ? color(255, 140, 140) : state === "revealed" ? color(120, 180, 255) :
+    state === "edit" ? color(240, 200, 120) : color(235));
+  t.textFont("monospace");
+  t.textAlign(CENTER, CENTER);
+  t.textSize(44);
+  t.text(ch, 32, 36);
+  letterTex.set(k, t);
+  return t;
+}
 
-      // number (start cell)
-      const num = ce.numR || ce.numD || ce.numI;
-      if (num) {
-        noStroke();
-        fill(170);
-        textAlign(LEFT, TOP);
-        textSize(10);
-        text(num, x + 3, y + 2);
-        stroke(85);
+function drawCube3D() {
+  const size = view3DSize();
+  if (!g3d) g3d = createGraphics(size, size, WEBGL);
+  const g = g3d;
+  const s = voxelSize(size);
+
+  g.background(12);
+  g.push();
+  g.scale(orbit.zoom);
+  g.rotateX(orbit.rotX);
+  g.rotateY(orbit.rotY);
+
+  // opaque blocks first
+  g.noStroke();
+  g.fill(55);
+  for (let z = 0; z < NZ; z++)
+    for (let y = 0; y < NY; y++)
+      for (let x = 0; x < NX; x++) {
+        const ce = cell(x, y, z);
+        if (!ce.block || ce.outside) continue;
+        const [px, py, pz] = voxelCenter(x, y, z, s);
+        g.push();
+        g.translate(px, py, pz);
+        g.box(s * 0.8);
+        g.pop();
       }
 
-      // typed char
-      if (ce.ch) {
-        noStroke();
-        fill(235);
-        textAlign(CENTER, CENTER);
-        textSize(CFG.CELL * 0.55);
-        text(ce.ch, x + CFG.CELL / 2, y + CFG.CELL / 2 + 2);
-        stroke(85);
-      }
+  // open cells back to front, so letter planes blend over what is behind them
+  const wordKeys = new Set(wordCellsThrough(cur.x, cur.y, cur.z, activeDir).map(p => `${p.x},${p.y},${p.z}`));
+  const open = [];
+  for (let z = 0; z < NZ; z++)
+    for (let y = 0; y < NY; y++)
+      for (let x = 0; x < NX; x++)
+        if (!cell(x, y, z).block) open.push({ x, y, z, depth: projectVoxel(x, y, z, size).depth });
+  open.sort((a, b) => a.depth - b.depth);
+
+  for (const p of open) {
+    const ce = cell(p.x, p.y, p.z);
+    const isCur = p.x === cur.x && p.y === cur.y && p.z === cur.z;
+    const inWord = wordKeys.has(`${p.x},${p.y},${p.z}`);
+    const [px, py, pz] = voxelCenter(p.x, p.y, p.z, s);
+
+    g.push();
+    g.translate(px, py, pz);
+    if (isCur) { g.fill(80, 150, 220, 150); g.stroke(140, 200, 255); }
+    else if (inWord) { g.fill(45, 75, 115, 90); g.stroke(90, 130, 190); }
+    else if (ce.bad) { g.fill(120, 30, 30, 90); g.stroke(200, 80, 80); }
+    else { g.noFill(); g.stroke(70); }
+    g.box(s * 0.8);
+
+    const shown = cellLetter(ce);
+    if (shown) {
+      const state = mode === "edit" ? "edit" : ce.bad ? "bad" : ce.revealed ? "revealed" : "plain";
+      g.noStroke();
+      g.texture(letterTexture(shown, state));
+      // undo the orbit so letters always face the viewer
+      g.rotateY(-orbit.rotY);
+      g.rotateX(-orbit.rotX);
+      g.plane(s * 0.8, s * 0.8);
     }
+    g.pop();
   }
+  g.pop();
 
+  image(g, CFG.MARGIN, CFG.MARGIN);
+
+  push();
+  noFill();
+  stroke(85);
+  rect(CFG.MARGIN, CFG.MARGIN, size, size);
   pop();
 }
 
+function mouseIn3DView() {
+  const size = view3DSize();
+  return layout === "3d" &&
+    mouseX >= CFG.MARGIN && mouseX < CFG.MARGIN + size &&
+    mouseY >= CFG.MARGIN && mouseY < CFG.MARGIN + size;
+}
+
+// Front-most open voxel under the mouse, or null
+function pickVoxel3D() {
+  const size = view3DSize();
+  const mx = mouseX - CFG.MARGIN, my = mouseY - CFG.MARGIN;
+  let best = null;
+  for (let z = 0; z < NZ; z++)
+    for (let y = 0; y < NY; y++)
+      for (let x = 0; x < NX; x++) {
+        if (!canEnter(x, y, z)) continue;
+        const p = projectVoxel(x, y, z, size);
+        if (Math.abs(mx - p.sx) > p.r || Math.abs(my - p.sy) > p.r) continue;
+        if (!best || p.depth > best.depth) best = { x, y, z, depth: p.depth };
+      }
+  return best;
+}
+
 // ---------------- DRAW: RIGHT STATUS ----------------
 function drawRightStatus() {
   const px = CFG.MARGIN * 2 + CFG.VIEW_W * CFG.CELL;
@@ -730,27 +1990,53 @@ function drawRightStatus() {
   textAlign(LEFT, TOP);
 
   textSize(14);
-  text(`View: ${view}`, 0, 0);
+  text(tr("status.view", { view, mode: tr(`mode.${mode}`) }), 0, 0);
+  textAlign(RIGHT, TOP);
+  text(`${solveResult ? "✓ " : paused ? tr("btn.pause") + " " : ""}${formatTime(solveResult ? solveResult.ms : solveMs)}`, CFG.PANEL_W - 2 * CFG.MARGIN, 0);
+  textAlign(LEFT, TOP);
 
   textSize(12);
-  text(`Cursor: x=${cur.x} y=${cur.y} z=${cur.z}`, 0, 22);
+  text(tr("status.cursor", cur), 0, 22);
 
   if (view === "XY") {
-    text(`Scroll: Z=${cur.z} | TAB: ${lastAxis === "x" ? "XZ (scroll=Y)" : "YZ (scroll=X)"}`, 0, 42);
+    text(tr("status.xy", { z: cur.z, tab: tr(lastAxis === "x" ? "status.tabXZ" : "status.tabYZ") }), 0, 42);
   } else if (view === "XZ") {
-    text(`XZ | depth Y=${depthY} | TAB back`, 0, 42);
+    text(tr("status.xz", { d: depthY }), 0, 42);
   } else {
-    text(`YZ | depth X=${depthX} | TAB back`, 0, 42);
+    text(tr("status.yz", { d: depthX }), 0, 42);
   }
 
-  drawLastMoveArrow(0, 70);
+  text(tr("status.dir", { dir: dirLabel(activeDir) }), 0, 58);
+
+  drawLastMoveArrow(0, 76);
+  if (!paused) drawCrossings(104, 76, CFG.PANEL_W - 2 * CFG.MARGIN - 104);
 
   textSize(11);
-  text("J: laadi JSON alla", 0, 180);
+  text(tr("status.download"), 0, 180);
+  if (mode === "edit") {
+    text(tr("status.editor", { n: clues.R.length + clues.D.length + clues.I.length }), 0, 258);
+  }
+  text(tr("status.nav"), 0, 276);
+  text(clueNumberBuf ? tr("status.numBuf", { n: clueNumberBuf }) : tr("status.nav2"), 0, 290);
+
+  textSize(12);
+  text(tr("status.bad", { n: countBadCells() }), 0, 204);
+  text(tr("tally", { checks: checkCount, reveals: revealCount }), 0, 222);
+  if (lastCheck) {
+    text(tr("status.lastCheck", { scope: scopeLabel(lastCheck.scope), n: lastCheck.wrong }), 0, 240);
+  }
+  if (mode !== "edit") {
+    text(tr("status.words", { done: wordsDone, total: wordsTotal }) + (solveResult ? tr("status.solved", { score: solveResult.score }) : ""), 0, 308);
+  }
+  if (puzzle && puzzle.seed != null) {
+    const sym = Array.isArray(puzzle.symmetry) && puzzle.symmetry.length ? ` (${puzzle.symmetry.join(" + ")})` : "";
+    text(tr("status.seed", { seed: puzzle.seed, symmetry: sym }), 0, 326);
+  }
 
   pop();
 }
 
+
 function drawLastMoveArrow(x, y) {
   push();
   translate(x, y);
@@ -784,14 +2070,219 @@ function drawLastMoveArrow(x, y) {
   fill(210);
   textAlign(CENTER, CENTER);
   textSize(10);
-  text("Last XY", 46, 10);
+  text(tr("arrow.last"), 46, 10);
+
+  pop();
+}
+
+// Words through the cursor cell: at most one per direction, { kind, clue, index } (index = cell's place in the word)
+function crossingsAtCursor() {
+  const out = [];
+  for (const kind of DIRS) {
+    const c = clueAtCursor(kind);
+    if (!c) continue;
+    const index = (cur.x - c.start.x) + (cur.y - c.start.y) + (cur.z - c.start.z);
+    if (index < c.len) out.push({ kind, clue: c, index });
+  }
+  return out;
+}
+
+// Crossing inspector: every word through the cursor with its clue, fill pattern (cursor cell in [ ])
+// and position; clicking a row jumps to that word like a clue click
+function drawCrossings(x, y, w) {
+  crossingHitboxes = [];
+  const baseX = CFG.MARGIN * 2 + CFG.VIEW_W * CFG.CELL + x;
+  const baseY = CFG.MARGIN + y;
+  const rowH = 24;
+
+  push();
+  translate(x, y);
+  fill(28);
+  stroke(90);
+  rect(0, 0, w, 92, 10);
+
+  noStroke();
+  fill(210);
+  textAlign(LEFT, TOP);
+  textSize(10);
+  text(tr("cross.title"), 8, 5);
+
+  const list = crossingsAtCursor();
+  if (!list.length) {
+    fill(150);
+    textSize(11);
+    text(tr("cross.none"), 8, 22);
+  }
+  list.forEach((e, i) => {
+    const ry = 20 + i * rowH;
+    const c = e.clue;
+    // solver never sees answers, only what is typed so far
+    const chars = Array.from(mode === "solve" ? cluePattern(e.kind, c) : (c.answer ?? ""));
+    if (e.index < chars.length) chars[e.index] = `[${chars[e.index]}]`;
+
+    if (e.kind === activeDir) {
+      fill(60, 110, 180, 140);
+      rect(4, ry - 2, w - 8, rowH - 1, 6);
+    }
+    fill(clueFilled(e.kind, c) ? 150 : 230);
+    textSize(11);
+    text(fitText(`${dirLabel(e.kind)} ${c.n}. ${e.index + 1}/${c.len}  ${chars.join("")}`, w - 16), 8, ry);
+    fill(160);
+    textSize(10);
+    text(fitText(c.hint, w - 16), 8, ry + 11);
+
+    crossingHitboxes.push({ x: baseX + 4, y: baseY + ry - 2, w: w - 8, h: rowH - 1, kind: e.kind, clue: c });
+  });
+  pop();
+}
+
+// ---------------- DRAW: OVERVIEW ----------------
+function sliceCount(plane) {
+  return plane === "XY" ? NZ : plane === "XZ" ? NY : NX;
+}
+
+function depthName(plane) {
+  return plane === "XY" ? "z" : plane === "XZ" ? "y" : "x";
+}
+
+function currentDepth(plane) {
+  return plane === "XY" ? cur.z : plane === "XZ" ? depthY : depthX;
+}
+
+// Thumbnails of every slice along overviewPlane's axis, in the bottom area
+function drawOverview() {
+  clueHitboxes = [];
+  clueColumns = [];
+  overviewHitboxes = [];
+
+  const plane = overviewPlane;
+  const n = sliceCount(plane);
+  const { Umax, Vmax } = planeBounds(plane);
+
+  const baseX = CFG.MARGIN;
+  const baseY = CFG.MARGIN * 2 + CFG.VIEW_H * CFG.CELL + 10;
+  const areaW = CFG.VIEW_W * CFG.CELL + CFG.PANEL_W;
+  const areaH = CFG.CLUE_AREA_H - 40;
+  const gap = 10, labelH = 16, titleH = 22;
+
+  // column count that gives the biggest thumbnail cells
+  let best = { cols: 1, cellPx: 0 };
+  for (let cols = 1; cols <= n; cols++) {
+    const rows = Math.ceil(n / cols);
+    const cw = (areaW - gap * (cols - 1)) / cols / Umax;
+    const ch = (areaH - titleH - (labelH + gap) * rows) / rows / Vmax;
+    const cellPx = Math.floor(Math.min(cw, ch));
+    if (cellPx > best.cellPx) best = { cols, cellPx };
+  }
+  const { cols, cellPx } = best;
+  if (cellPx < 1) return;
+  const thumbW = Umax * cellPx, thumbH = Vmax * cellPx;
+
+  push();
+  translate(baseX, baseY);
+  noStroke();
+  fill(230);
+  textAlign(LEFT, TOP);
+  textSize(13);
+  text(tr("overview.title", { axis: depthName(plane).toUpperCase(), plane }), 0, 0);
+
+  for (let d = 0; d < n; d++) {
+    const ox = (d % cols) * (thumbW + gap);
+    const oy = titleH + Math.floor(d / cols) * (thumbH + labelH + gap);
+
+    let open = 0, filled = 0;
+    for (let v = 0; v < Vmax; v++) {
+      for (let u = 0; u < Umax; u++) {
+        const w = sliceToWorld(plane, d, u, v);
+        const ce = cell(w.x, w.y, w.z);
+        const x = ox + u * cellPx, y = oy + labelH + v * cellPx;
+
+        if (ce.outside) continue;
+        if (ce.block) {
+          noStroke();
+          fill(10);
+          rect(x, y, cellPx, cellPx);
+          continue;
+        }
+        open++;
+        const letter = cellLetter(ce);
+        if (letter) filled++;
+
+        stroke(60);
+        if (ce.bad) fill(120, 30, 30);
+        else if (w.x === cur.x && w.y === cur.y && w.z === cur.z) fill(80, 150, 220, 160);
+        else if (letter) fill(70, 90, 70);
+        else fill(32);
+        rect(x, y, cellPx, cellPx);
+
+        noStroke();
+        const num = ce.numR || ce.numD || ce.numI;
+        if (num && cellPx >= 14) {
+          fill(170);
+          textAlign(LEFT, TOP);
+          textSize(max(7, cellPx * 0.3));
+          text(num, x + 1, y + 1);
+        }
+        if (letter && cellPx >= 12) {
+          fill(235);
+          textAlign(CENTER, CENTER);
+          textSize(cellPx * 0.5);
+          text(letter, x + cellPx / 2, y + cellPx / 2 + 1);
+        }
+      }
+    }
+
+    // label + fill progress bar
+    const frac = open ? filled / open : 0;
+    noStroke();
+    fill(d === currentDepth(plane) ? color(140, 200, 255) : color(210));
+    textAlign(LEFT, TOP);
+    textSize(11);
+    text(`${depthName(plane)}=${d}  ${filled}/${open}`, ox, oy);
+    fill(40);
+    rect(ox, oy + labelH - 4, thumbW, 3);
+    fill(110, 200, 120);
+    rect(ox, oy + labelH - 4, thumbW * frac, 3);
+
+    if (d === currentDepth(plane) && view === plane) {
+      noFill();
+      stroke(140, 200, 255);
+      strokeWeight(2);
+      rect(ox - 2, oy + labelH - 2, thumbW + 4, thumbH + 4);
+      strokeWeight(1);
+    }
 
+    overviewHitboxes.push({ x: baseX + ox, y: baseY + oy, w: thumbW, h: thumbH + labelH, plane, depth: d });
+  }
   pop();
 }
 
+// Opens slice `depth` of `plane` in the main grid; cursor moves to an open cell of it if needed
+function jumpToSlice(plane, depth) {
+  view = plane;
+  if (plane === "XY") cur.z = depth;
+  else if (plane === "XZ") { depthY = depth; cur.y = depth; }
+  else { depthX = depth; cur.x = depth; }
+
+  if (cell(cur.x, cur.y, cur.z).block) {
+    const { Umax, Vmax } = planeBounds(plane);
+    outer:
+    for (let v = 0; v < Vmax; v++) {
+      for (let u = 0; u < Umax; u++) {
+        const w = sliceToWorld(plane, depth, u, v);
+        if (!cell(w.x, w.y, w.z).block) { cur = w; break outer; }
+      }
+    }
+    depthX = cur.x; depthY = cur.y;
+  }
+  syncActiveDirToView();
+  cam.u = 0; cam.v = 0;
+}
+
 //---------------- DRAW: BOTTOM CLUES ----------------
 function drawBottomClues() {
   clueHitboxes = [];
+  clueColumns = [];
 
   const baseX = CFG.MARGIN;
   const baseY = CFG.MARGIN * 2 + CFG.VIEW_H * CFG.CELL + 10;
@@ -808,42 +2299,112 @@ function drawBottomClues() {
   textAlign(LEFT, TOP);
 
   textSize(13);
-  text("Nähtavad vihjed (start-numbrid, mis on praegu ruudustikus):", 0, 0);
+  if (clueFilter === "all") {
+    text(tr("clues.all", { axis: depthName(view) }), 0, 0);
+  } else {
+    text(tr("clues.visible"), 0, 0);
+  }
   const y0 = 22;
 
-  const visR = getVisibleClues("R");
-  const visD = getVisibleClues("D");
-  const visI = getVisibleClues("I");
-
-  drawClueColumn("PAREMALE", "R", visR, 0 * (colW + colGap), y0, colW, lineH);
-  drawClueColumn("ALLA", "D", visD, 1 * (colW + colGap), y0, colW, lineH);
-  drawClueColumn("SISSE", "I", visI, 2 * (colW + colGap), y0, colW, lineH);
+  drawClueColumn(dirLabel("R"), "R", clueRows("R"), 0 * (colW + colGap), y0, colW, lineH);
+  drawClueColumn(dirLabel("D"), "D", clueRows("D"), 1 * (colW + colGap), y0, colW, lineH);
+  drawClueColumn(dirLabel("I"), "I", clueRows("I"), 2 * (colW + colGap), y0, colW, lineH);
 
   pop();
 }
 
-function drawClueColumn(title, kind, list, x, y, w, lineH) {
+// Rows of one column: { clue } or, in "all" mode, { header } before each slice's group
+function clueRows(kind) {
+  if (clueFilter !== "all") return getVisibleClues(kind).map(c => ({ clue: c }));
+
+  const axis = depthName(view);
+  const list = [...clues[kind]].sort((a, b) => (a.start[axis] - b.start[axis]) || (a.n - b.n));
+  const rows = [];
+  let last = null;
+  for (const c of list) {
+    if (c.start[axis] !== last) {
+      last = c.start[axis];
+      rows.push({ header: `${axis}=${last}` });
+    }
+    rows.push({ clue: c });
+  }
+  return rows;
+}
+
+// Every cell of the clue's word has a letter (typed, or solution in the editor)
+function clueFilled(kind, c) {
+  const { dx, dy, dz } = dirStep(kind);
+  for (let i = 0; i < c.len; i++) {
+    const x = c.start.x + dx * i, y = c.start.y + dy * i, z = c.start.z + dz * i;
+    if (!inBounds(x, y, z) || cell(x, y, z).block || !cellLetter(cell(x, y, z))) return false;
+  }
+  return true;
+}
+
+function isActiveClue(kind, c) {
+  if (kind !== activeDir) return false;
+  const run = wordCellsThrough(cur.x, cur.y, cur.z, activeDir);
+  return run.length > 0 && run[0].x === c.start.x && run[0].y === c.start.y && run[0].z === c.start.z;
+}
+
+// Truncates with "…" to fit w pixels at the current text size
+function fitText(str, w) {
+  if (textWidth(str) <= w) return str;
+  while (str.length > 1 && textWidth(str + "…") > w) str = str.slice(0, -1);
+  return str + "…";
+}
+
+function drawClueColumn(title, kind, rows, x, y, w, lineH) {
+  const maxLines = Math.floor((CFG.CLUE_AREA_H - 60) / lineH);
+  const top = y;
+
+  // bring the active clue into view once each time it changes
+  const activeIdx = rows.findIndex(r => r.clue && isActiveClue(kind, r.clue));
+  if (activeIdx >= 0) {
+    const key = `${kind}@${activeIdx}`;
+    if (key !== clueAutoKey) {
+      clueAutoKey = key;
+      if (activeIdx < clueScroll[kind]) clueScroll[kind] = activeIdx;
+      if (activeIdx >= clueScroll[kind] + maxLines) clueScroll[kind] = activeIdx - maxLines + 1;
+    }
+  }
+  clueScroll[kind] = constrain(clueScroll[kind], 0, max(0, rows.length - maxLines));
+  const first = clueScroll[kind];
+
   textSize(12);
-  text(title, x, y);
+  const count = rows.filter(r => r.clue).length;
+  text(`${title} (${count})${first > 0 ? `  ▲ ${first}` : ""}`, x, y);
   y += 16;
 
-  const maxLines = Math.floor((CFG.CLUE_AREA_H - 60) / lineH);
-  for (let idx = 0; idx < list.length && idx < maxLines; idx++) {
-    const c = list[idx];
-    // const label = `${c.n}. ${c.hint} (${c.len})`;
-    const ans = c.answer ?? "";
-    // const label = '${c.n}. ${c.hint} (${c.len})  ${ans};
-    const label = `${c.n}. ${c.hint} (${c.len})  ${c.answer ?? ""}`;
+  for (let idx = first; idx < rows.length && idx < first + maxLines; idx++) {
+    const row = rows[idx];
+    if (row.header) {
+      fill(140, 200, 255);
+      text(fitText(`— ${row.header} —`, w), x, y);
+      fill(230);
+      y += lineH;
+      continue;
+    }
 
+    const c = row.clue;
+    // solver never sees answers, only what is typed so far
+    const tail = mode === "solve" ? cluePattern(kind, c) : (c.answer ?? "");
+    const done = clueFilled(kind, c);
+    const label = `${done ? "✓ " : ""}${c.n}. ${c.hint} (${c.len})  ${tail}`;
 
-    if (cur.x === c.start.x && cur.y === c.start.y && cur.z === c.start.z) {
+    if (isActiveClue(kind, c)) {
+      noStroke();
+      fill(60, 110, 180, 140);
+      rect(x, y - 1, w, lineH, 6);
+    } else if (cur.x === c.start.x && cur.y === c.start.y && cur.z === c.start.z) {
       noStroke();
       fill(60, 110, 180, 90);
       rect(x, y - 1, w, lineH, 6);
-      fill(230);
     }
 
-    text(label, x, y);
+    fill(done ? 150 : 230);
+    text(fitText(label, w), x, y);
+    fill(230);
 
     // Hitbox in CANVAS coordinates (not local)
     clueHitboxes.push({
@@ -858,9 +2419,18 @@ function drawClueColumn(title, kind, list, x, y, w, lineH) {
     y += lineH;
   }
 
-  if (list.length > maxLines) {
-    text("...", x, y);
+  const below = rows.length - (first + maxLines);
+  if (below > 0) {
+    text(`▼ ${below}`, x, y);
   }
+
+  clueColumns.push({
+    kind,
+    x: CFG.MARGIN + x,
+    y: (CFG.MARGIN * 2 + CFG.VIEW_H * CFG.CELL + 10) + top,
+    w,
+    h: 16 + (maxLines + 1) * lineH,
+  });
 }
 
 function getVisibleClues(kind) {
@@ -896,25 +2466,35 @@ function getVisibleClues(kind) {
 
 // ---------------- INPUT ----------------
 function mousePressed() {
-  const pad = getViewPadding();
+  const onCanvas = mouseX >= 0 && mouseY >= 0 && mouseX < width && mouseY < height;
+  if (showCompletion && onCanvas) {
+    showCompletion = false;
+    return;
+  }
+  if (paused) return;
 
-  // mouse -> screen cell (0..VIEW-1)
-  const i = floor((mouseX - CFG.MARGIN) / CFG.CELL);
-  const j = floor((mouseY - CFG.MARGIN) / CFG.CELL);
+  if (mouseIn3DView()) {
+    orbitPress = { x: mouseX, y: mouseY, moved: false };
+    return;
+  }
 
-  if (i >= 0 && i < CFG.VIEW_W && j >= 0 && j < CFG.VIEW_H) {
+  for (const pane of visiblePanes()) {
+    const hit = paneAtMouse(pane);
+    if (!hit) continue;
 
-    // screen cell -> plane coords (remove centering)
-    const ii = i - pad.padLeft;
-    const jj = j - pad.padTop;
+    // clicking a pane focuses it (arrows/TAB/wheel follow the focused plane)
+    if (pane.plane !== view) focusPane(pane.plane);
 
     // clicked in padding area (outside actual plane)
-    if (ii < 0 || jj < 0 || ii >= pad.Umax || jj >= pad.Vmax) {
-      return; // do nothing
-    }
-
-    const w = viewToWorld(ii, jj);
-    if (inBounds(w.x, w.y, w.z) && !cell(w.x, w.y, w.z).block) {
+    const w = hit.w;
+    if (!w) return;
+
+    if (inBounds(w.x, w.y, w.z) && canEnter(w.x, w.y, w.z)) {
+      // clicking the cursor cell again cycles the active direction
+      if (w.x === cur.x && w.y === cur.y && w.z === cur.z) {
+        cycleActiveDir();
+        return;
+      }
       cur = { x: w.x, y: w.y, z: w.z };
       depthX = cur.x; depthY = cur.y;
       return;
@@ -922,7 +2502,23 @@ function mousePressed() {
   }
 
 
-  // 2) Clue click
+  // 2) Overview thumbnail click
+  for (const hb of overviewHitboxes) {
+    if (layout === "overview" && mouseX >= hb.x && mouseX <= hb.x + hb.w && mouseY >= hb.y && mouseY <= hb.y + hb.h) {
+      jumpToSlice(hb.plane, hb.depth);
+      return;
+    }
+  }
+
+  // 3) Crossing inspector row
+  for (const hb of crossingHitboxes) {
+    if (mouseX >= hb.x && mouseX <= hb.x + hb.w && mouseY >= hb.y && mouseY <= hb.y + hb.h) {
+      jumpToClue(hb.kind, hb.clue);
+      return;
+    }
+  }
+
+  // 4) Clue click
   for (const hb of clueHitboxes) {
     if (mouseX >= hb.x && mouseX <= hb.x + hb.w && mouseY >= hb.y && mouseY <= hb.y + hb.h) {
       jumpToClue(hb.kind, hb.clue);
@@ -933,31 +2529,144 @@ function mousePressed() {
 
 function jumpToClue(kind, c) {
   // R/D are naturally in XY
+  let plane = "XY";
   if (kind === "R" || kind === "D") {
-    view = "XY";
     cur = { x: c.start.x, y: c.start.y, z: c.start.z };
     depthX = cur.x; depthY = cur.y;
 
     if (kind === "R") { lastAxis = "x"; lastDir = { dx: 1, dy: 0 }; }
     else { lastAxis = "y"; lastDir = { dx: 0, dy: 1 }; }
   } else {
-    // I: open XZ or YZ depending on lastAxis
-    if (lastAxis === "x") {
-      view = "XZ";
-      depthY = c.start.y;
-      cur = { x: c.start.x, y: depthY, z: c.start.z };
-    } else {
-      view = "YZ";
-      depthX = c.start.x;
-      cur = { x: depthX, y: c.start.y, z: c.start.z };
-    }
+    // I: stay in XZ/YZ if already there, else pick one from lastAxis
+    if (view === "XZ" || view === "YZ") plane = view;
+    else plane = lastAxis === "x" ? "XZ" : "YZ";
+    cur = { x: c.start.x, y: c.start.y, z: c.start.z };
+    depthX = cur.x; depthY = cur.y;
   }
+  if (layout === "ortho") focusPane(plane);
+  else view = plane;
+  activeDir = kind;
   cam.u = 0; cam.v = 0;
 }
 
+// ---------------- CLUE NAVIGATION ----------------
+// ENTER / SHIFT+ENTER: next / previous clue in activeDir, CTRL+ENTER: next unfilled clue
+// in any direction, digits + ENTER: clue by number. All go through jumpToClue().
+
+function clueOrder(p) {
+  return (p.z * NY + p.y) * NX + p.x;
+}
+
+function sameCell(a, b) {
+  return a.x === b.x && a.y === b.y && a.z === b.z;
+}
+
+// Clue of `kind` whose word contains the cursor, or null
+function clueAtCursor(kind) {
+  const run = wordCellsThrough(cur.x, cur.y, cur.z, kind);
+  if (!run.length) return null;
+  return clues[kind].find(c => sameCell(c.start, run[0])) ?? null;
+}
+
+function stepClue(sign) {
+  const list = [...clues[activeDir]].sort((a, b) => a.n - b.n);
+  if (!list.length) return false;
+
+  const at = clueAtCursor(activeDir);
+  let i;
+  if (at) {
+    i = (list.indexOf(at) + sign + list.length) % list.length;
+  } else {
+    // cursor not inside a word of this direction: continue from its reading position
+    const pos = clueOrder(cur);
+    let next = list.findIndex(c => clueOrder(c.start) > pos);
+    if (next < 0) next = list.length;
+    i = sign > 0 ? next % list.length : (next - 1 + list.length) % list.length;
+  }
+  jumpToClue(activeDir, list[i]);
+  return true;
+}
+
+// All clues by number, R before D before I on the same number
+function allCluesOrdered() {
+  const all = [];
+  for (const kind of DIRS) for (const c of clues[kind]) all.push({ kind, c });
+  return all.sort((a, b) => (a.c.n - b.c.n) || (DIRS.indexOf(a.kind) - DIRS.indexOf(b.kind)));
+}
+
+function nextUnfilledClue() {
+  const all = allCluesOrdered();
+  if (!all.length) return false;
+  const at = clueAtCursor(activeDir);
+  const from = at ? all.findIndex(e => e.c === at) : -1;
+  for (let k = 1; k <= all.length; k++) {
+    const e = all[(from + k + all.length) % all.length];
+    if (!clueFilled(e.kind, e.c)) {
+      jumpToClue(e.kind, e.c);
+      return true;
+    }
+  }
+  return false;
+}
+
+// Number n in activeDir first, then the other directions
+function jumpToClueNumber(n) {
+  for (const kind of [activeDir, ...DIRS.filter(k => k !== activeDir)]) {
+    const c = clues[kind].find(cl => cl.n === n);
+    if (c) {
+      jumpToClue(kind, c);
+      return true;
+    }
+  }
+  return false;
+}
+
+function mouseDragged() {
+  if (!orbitPress) return;
+  orbit.rotY += (mouseX - pmouseX) * 0.01;
+  orbit.rotX = constrain(orbit.rotX - (mouseY - pmouseY) * 0.01, -HALF_PI, HALF_PI);
+  if (abs(mouseX - orbitPress.x) + abs(mouseY - orbitPress.y) > 4) orbitPress.moved = true;
+}
+
+// A press on the 3D view that did not orbit is a click: move the cursor to that voxel
+function mouseReleased() {
+  // focus moves on mousedown, so the IME sink takes it back on release
+  if (mouseX >= 0 && mouseY >= 0 && mouseX < width && mouseY < height) focusImeSink();
+  if (!orbitPress) return;
+  const wasDrag = orbitPress.moved;
+  orbitPress = null;
+  if (wasDrag) return;
+
+  const p = pickVoxel3D();
+  if (!p) return;
+  cur = { x: p.x, y: p.y, z: p.z };
+  depthX = cur.x; depthY = cur.y;
+}
+
 function mouseWheel(event) {
+  if (paused) return;
   const step = event.delta > 0 ? 1 : -1;
 
+  if (mouseIn3DView()) {
+    orbit.zoom = constrain(orbit.zoom * (step > 0 ? 0.9 : 1.1), 0.3, 4);
+    return false;
+  }
+
+  // over a clue column: scroll the list, not the depth (clamped when drawn)
+  for (const col of clueColumns) {
+    if (mouseX >= col.x && mouseX <= col.x + col.w && mouseY >= col.y && mouseY <= col.y + col.h) {
+      clueScroll[col.kind] = max(0, clueScroll[col.kind] + step * 3);
+      return false;
+    }
+  }
+
+  // ortho: wheel over a pane scrolls that pane's depth
+  if (layout === "ortho") {
+    for (const pane of orthoPanes()) {
+      if (paneAtMouse(pane)) { focusPane(pane.plane); break; }
+    }
+  }
+
   if (view === "XY") {
     cur.z = constrain(cur.z + step, 0, NZ - 1);
   } else if (view === "XZ") {
@@ -970,47 +2679,191 @@ function mouseWheel(event) {
   return false;
 }
 
-function keyPressed() {
+function keyPressed(event) {
   //if (key === "j" || key === "J") {
     // downloadPuzzleJSON();
     //return;
   //}
 
+  // typing into a DOM field (e.g. clue text) must not reach the grid
+  if (typingInDom()) return;
+
+  // ESC: close the completion screen, else pause / resume (after a pending clue number)
+  if (keyCode === ESCAPE && !clueNumberBuf) {
+    if (showCompletion) showCompletion = false;
+    else setPaused(!paused);
+    return false;
+  }
+  if (paused) return false;
+
+  // CTRL/CMD+Z undo, CTRL+Y or CTRL+SHIFT+Z redo; other CTRL+character shortcuts go to the browser
+  const mod = event ? event.ctrlKey || event.metaKey : keyIsDown(CONTROL);
+  if (mod && String(key).length === 1) {
+    const k = String(key).toLowerCase();
+    if (k === "z" && !keyIsDown(SHIFT)) { undo(); return false; }
+    if (k === "y" || k === "z") { redo(); return false; }
+    return;
+  }
+
   if (keyCode === TAB) {
     if (view === "XY") {
-      if (lastAxis === "x") { view = "XZ"; depthY = cur.y; }
-      else { view = "YZ"; depthX = cur.x; }
-      cam.u = 0; cam.v = 0;
+      if (lastAxis === "x") { depthY = cur.y; showPlane("XZ"); }
+      else { depthX = cur.x; showPlane("YZ"); }
+    } else {
+      showPlane("XY");
+    }
+    syncActiveDirToView();
+    return false;
+  }
+
+  if (key === " ") {
+    cycleActiveDir();
+    return false;
+  }
+
+  if (keyCode === ENTER || keyCode === RETURN) {
+    if (clueNumberBuf) {
+      jumpToClueNumber(Number(clueNumberBuf));
+      clueNumberBuf = "";
+    } else if (mod) {
+      nextUnfilledClue();
     } else {
-      view = "XY";
-      cam.u = 0; cam.v = 0;
+      stepClue(keyIsDown(SHIFT) ? -1 : 1);
     }
     return false;
   }
+  if (key >= "0" && key <= "9" && !normalizeChar(key)) {
+    clueNumberBuf = (clueNumberBuf + key).slice(-4);
+    return false;
+  }
+  if (clueNumberBuf && (keyCode === ESCAPE || keyCode === BACKSPACE)) {
+    clueNumberBuf = keyCode === ESCAPE ? "" : clueNumberBuf.slice(0, -1);
+    return false;
+  }
 
   if (keyCode === LEFT_ARROW) { moveInView(-1, 0); return; }
   if (keyCode === RIGHT_ARROW) { moveInView(1, 0); return; }
   if (keyCode === UP_ARROW) { moveInView(0, -1); return; }
   if (keyCode === DOWN_ARROW) { moveInView(0, 1); return; }
 
-  if (keyCode === BACKSPACE || keyCode === DELETE) {
-    const ce = cell(cur.x, cur.y, cur.z);
-    if (!ce.block) ce.ch = "";
+  if (mode === "edit" && key === ".") {
+    toggleBlockAtCursor();
+    return false;
+  }
+  if (mode === "edit" && key === ",") {
+    toggleOutsideAtCursor();
+    return false;
+  }
+
+  if (keyCode === BACKSPACE) {
+    // empty cell: step back first, then clear
+    if (!cellLetter(cell(cur.x, cur.y, cur.z))) stepInWord(-1);
+    setCursorLetter("");
+    return false;
+  }
+  if (keyCode === DELETE) {
+    setCursorLetter("");
     return false;
   }
 
+  // IME composition / dead key in progress: let the sink input receive it (see typeText)
+  if (key === "Process" || key === "Dead" || (event && event.isComposing)) return;
+
   const ch = normalizeChar(key);
   if (ch) {
-    const ce = cell(cur.x, cur.y, cur.z);
-    if (!ce.block) ce.ch = ch;
+    if (setCursorLetter(ch)) stepInWord(1);
+    return false;
+  }
+}
+
+function typingInDom() {
+  const el = document.activeElement;
+  if (imeSink && el === imeSink.elt) return false;
+  return !!el && (el.tagName === "INPUT" || el.tagName === "TEXTAREA" || el.tagName === "SELECT");
+}
+
+// Letter the grid shows: solution in the editor, typed letter otherwise
+function cellLetter(ce) {
+  return mode === "edit" ? ce.sol : ce.ch;
+}
+
+// Editor may move onto blocks (to remove them)
+function canEnter(x, y, z) {
+  return mode === "edit" || !cell(x, y, z).block;
+}
+
+// true if the cell took the letter (typing only moves on then); blocks take none
+function setCursorLetter(ch) {
+  const ce = cell(cur.x, cur.y, cur.z);
+  if (ce.block) return false;
+  const ok = withHistory(() => {
+    recordCell(cur.x, cur.y, cur.z);
+    if (mode === "edit") {
+      ce.sol = ch;
+      return true;
+    }
+    return game.setLetter(cur.x, cur.y, cur.z, ch);
+  });
+  if (mode === "edit") {
+    refreshEditorClues();
+    return ok;
+  }
+  progressDirty = true;
+  updateCompletion();
+  return ok;
+}
+
+// Move one cell along activeDir inside the current word; stays put at the word's end
+function stepInWord(sign) {
+  const { dx, dy, dz } = dirStep(activeDir);
+  const nx = cur.x + dx * sign, ny = cur.y + dy * sign, nz = cur.z + dz * sign;
+  if (!inBounds(nx, ny, nz) || cell(nx, ny, nz).block) return;
+  cur = { x: nx, y: ny, z: nz };
+  depthX = cur.x; depthY = cur.y;
+}
+
+// After a plane change: keep activeDir if the plane shows it, else pick one it does show
+function syncActiveDirToView() {
+  if (!dirInView(activeDir)) {
+    activeDir = view === "XY" ? (lastAxis === "x" ? "R" : "D") : "I";
+  }
+}
+
+function dirInView(dir) {
+  if (view === "XY") return dir !== "I";
+  if (view === "XZ") return dir !== "D";
+  return dir !== "R";
+}
+
+// R -> D -> I -> R; switches plane when the new direction is not visible in it
+function cycleActiveDir() {
+  activeDir = activeDir === "R" ? "D" : activeDir === "D" ? "I" : "R";
+  if (dirInView(activeDir)) return;
+
+  if (activeDir === "I") {
+    if (lastAxis === "x") { depthY = cur.y; showPlane("XZ"); }
+    else { depthX = cur.x; showPlane("YZ"); }
+  } else {
+    if (activeDir === "R") { lastAxis = "x"; lastDir = { dx: 1, dy: 0 }; }
+    else { lastAxis = "y"; lastDir = { dx: 0, dy: 1 }; }
+    showPlane("XY");
+  }
+}
+
+// TAB / SPACE plane switch: in the ortho layout the pane gets the focus (each pane keeps its camera),
+// otherwise the grid shows the plane from a fresh camera
+function showPlane(plane) {
+  if (layout === "ortho") {
+    focusPane(plane);
+    return;
   }
+  view = plane;
+  cam.u = 0; cam.v = 0;
 }
 
+// One typed or composed character -> puzzle letter, null if it is not in the alphabet
 function normalizeChar(k) {
-  if (!k || k.length !== 1) return null;
-  const up = k.toUpperCase();
-  const ok = "ABCDEFGHIJKLMNOPQRSTUVWXYZÕÄÖÜŠŽ";
-  return ok.includes(up) ? up : null;
+  return alphabetLetter(k, alphabet, puzzleLocale);
 }
 
 function moveInView(du, dv) {
@@ -1018,25 +2871,27 @@ function moveInView(du, dv) {
 
   if (view === "XY") {
     nx += du; ny += dv;
-    if (du !== 0) { lastAxis = "x"; lastDir = { dx: du, dy: 0 }; }
-    if (dv !== 0) { lastAxis = "y"; lastDir = { dx: 0, dy: dv }; }
+    if (du !== 0) { lastAxis = "x"; lastDir = { dx: du, dy: 0 }; activeDir = "R"; }
+    if (dv !== 0) { lastAxis = "y"; lastDir = { dx: 0, dy: dv }; activeDir = "D"; }
   } else if (view === "XZ") {
     nx += du; nz += dv; ny = depthY;
+    activeDir = du !== 0 ? "R" : "I";
   } else {
     ny += du; nz += dv; nx = depthX;
+    activeDir = du !== 0 ? "D" : "I";
   }
 
   if (!inBounds(nx, ny, nz)) return;
-  if (cell(nx, ny, nz).block) return;
+  if (!canEnter(nx, ny, nz)) return;
 
   cur = { x: nx, y: ny, z: nz };
   depthX = cur.x; depthY = cur.y;
 }
 
-function getViewPadding() {
-  const { Umax, Vmax } = planeBounds();
-  const padU = max(0, CFG.VIEW_W - Umax);
-  const padV = max(0, CFG.VIEW_H - Vmax);
+function getViewPadding(plane = view, cols = CFG.VIEW_W, rows = CFG.VIEW_H) {
+  const { Umax, Vmax } = planeBounds(plane);
+  const padU = max(0, cols - Umax);
+  const padV = max(0, rows - Vmax);
   return {
     Umax, Vmax,
     padLeft: floor(padU / 2),